@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Debate / competition format templates.
+ *
+ * A format is a fixed sequence of segments (loaded into the room's agenda) plus optional
+ * prep-time banks that teams draw from between segments:
+ *
+ *   {
+ *     "id": "ld",
+ *     "name": "Lincoln–Douglas",
+ *     "segments": [{ "name": "Affirmative Constructive", "duration": "6:00" }, ...],
+ *     "prep": [{ "id": "aff", "label": "Affirmative prep", "duration": "4:00" }, ...]
+ *   }
+ *
+ * Durations are "m:ss" / "h:mm:ss" strings or `durationMs` numbers. A segment may also
+ * carry a `topic` (shown under the name on the display).
+ *
+ * Built-ins live below; user-defined templates are *.json files (one format each, or an
+ * array of them) in FORMATS_DIR (default: backend/data/formats), read once on boot.
+ * Clients can also send a format inline with loadFormat; it goes through the same checks.
+ */
+
+const DEFAULT_FORMATS_DIR = path.join(__dirname, "data", "formats");
+
+const MAX_SEGMENTS = 100; // = the agenda limit
+const MAX_PREP_BANKS = 4;
+const MAX_NAME_LEN = 80;
+const MAX_TOPIC_LEN = 120;
+const MAX_ID_LEN = 40;
+const MAX_DURATION_MS = 24 * 60 * 60_000;
+
+const seg = (name, duration, topic = "") => ({ name, duration, topic });
+
+export const BUILTIN_FORMATS = [
+  {
+    id: "bp",
+    name: "British Parliamentary",
+    segments: [
+      seg("Prime Minister", "7:00", "Opening Government"),
+      seg("Leader of the Opposition", "7:00", "Opening Opposition"),
+      seg("Deputy Prime Minister", "7:00", "Opening Government"),
+      seg("Deputy Leader of the Opposition", "7:00", "Opening Opposition"),
+      seg("Member of Government", "7:00", "Closing Government"),
+      seg("Member of Opposition", "7:00", "Closing Opposition"),
+      seg("Government Whip", "7:00", "Closing Government"),
+      seg("Opposition Whip", "7:00", "Closing Opposition"),
+    ],
+    prep: [],
+  },
+  {
+    id: "ld",
+    name: "Lincoln–Douglas",
+    segments: [
+      seg("Affirmative Constructive", "6:00"),
+      seg("Cross-Examination", "3:00", "Negative questions Affirmative"),
+      seg("Negative Constructive", "7:00"),
+      seg("Cross-Examination", "3:00", "Affirmative questions Negative"),
+      seg("First Affirmative Rebuttal", "4:00"),
+      seg("Negative Rebuttal", "6:00"),
+      seg("Second Affirmative Rebuttal", "3:00"),
+    ],
+    prep: [
+      { id: "aff", label: "Affirmative prep", duration: "4:00" },
+      { id: "neg", label: "Negative prep", duration: "4:00" },
+    ],
+  },
+  {
+    id: "mun",
+    name: "Model UN",
+    segments: [
+      seg("Opening speeches", "1:30", "Speakers' list"),
+      seg("Moderated caucus", "10:00"),
+      seg("Unmoderated caucus", "15:00"),
+      seg("General speakers' list", "1:00"),
+      seg("Moderated caucus", "10:00"),
+      seg("Unmoderated caucus", "20:00", "Draft resolutions"),
+      seg("Presentation of draft resolutions", "5:00"),
+      seg("Closing speeches", "1:00"),
+    ],
+    prep: [],
+  },
+];
+
+// "m:ss", "h:mm:ss" -> ms; NaN when unparseable
+function parseClock(str) {
+  const parts = String(str).trim().split(":");
+  if (parts.length < 2 || parts.length > 3 || parts.some((p) => !/^\d+$/.test(p))) return NaN;
+  return parts.reduce((acc, p) => acc * 60 + Number(p), 0) * 1000;
+}
+
+function parseDuration(item) {
+  const ms = item?.durationMs !== undefined ? Number(item.durationMs) : parseClock(item?.duration ?? "");
+  if (!Number.isFinite(ms) || ms < 1000 || ms > MAX_DURATION_MS) return null;
+  return Math.round(ms);
+}
+
+const cleanText = (v, max) => (v ?? "").toString().replace(/\s+/g, " ").trim().slice(0, max);
+
+function cleanId(v, fallback) {
+  const id = cleanText(v, MAX_ID_LEN).toLowerCase().replace(/[^a-z0-9_-]+/g, "-");
+  return id || fallback;
+}
+
+/**
+ * Validate + normalize a format (built-in, file or inline).
+ * Returns { ok, format } with durations in ms, or { ok: false, message }.
+ */
+export function parseFormat(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, message: "format must be an object" };
+  }
+
+  const name = cleanText(raw.name, MAX_NAME_LEN);
+  if (!name) return { ok: false, message: "format needs a name" };
+
+  if (!Array.isArray(raw.segments) || !raw.segments.length) {
+    return { ok: false, message: "format needs at least one segment" };
+  }
+  if (raw.segments.length > MAX_SEGMENTS) {
+    return { ok: false, message: `a format can have at most ${MAX_SEGMENTS} segments` };
+  }
+
+  const segments = [];
+  for (const [i, s] of raw.segments.entries()) {
+    const durationMs = parseDuration(s);
+    if (durationMs === null) return { ok: false, message: `segment ${i + 1}: duration must be m:ss (1s to 24h)` };
+    segments.push({
+      name: cleanText(s?.name, MAX_NAME_LEN) || `Segment ${i + 1}`,
+      topic: cleanText(s?.topic, MAX_TOPIC_LEN),
+      durationMs,
+    });
+  }
+
+  const rawPrep = raw.prep ?? [];
+  if (!Array.isArray(rawPrep) || rawPrep.length > MAX_PREP_BANKS) {
+    return { ok: false, message: `prep must be a list of at most ${MAX_PREP_BANKS} banks` };
+  }
+
+  const prep = [];
+  for (const [i, b] of rawPrep.entries()) {
+    const durationMs = parseDuration(b);
+    if (durationMs === null) return { ok: false, message: `prep bank ${i + 1}: duration must be m:ss (1s to 24h)` };
+    const id = cleanId(b?.id, `bank${i + 1}`);
+    if (prep.some((p) => p.id === id)) return { ok: false, message: `duplicate prep bank id: ${id}` };
+    prep.push({ id, label: cleanText(b?.label, MAX_NAME_LEN) || `Prep ${i + 1}`, durationMs });
+  }
+
+  return { ok: true, format: { id: cleanId(raw.id, "custom"), name, segments, prep } };
+}
+
+function readFormatFiles(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err?.code !== "ENOENT") console.warn("[formats] Could not read", dir, err?.message || err);
+    return [];
+  }
+
+  const out = [];
+  for (const file of files.sort()) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      const base = path.basename(file, ".json");
+      const list = Array.isArray(parsed) ? parsed : [parsed];
+      for (const [i, raw] of list.entries()) {
+        const fallbackId = list.length > 1 ? `${base}-${i + 1}` : base;
+        const result = parseFormat({ id: fallbackId, ...raw });
+        if (result.ok) out.push(result.format);
+        else console.warn(`[formats] Skipping ${file}: ${result.message}`);
+      }
+    } catch (err) {
+      console.warn(`[formats] Skipping ${file}:`, err?.message || err);
+    }
+  }
+  return out;
+}
+
+/**
+ * Built-ins + user templates from `dir`, keyed by id. A user file with a built-in's id
+ * replaces it (so clubs can tweak e.g. "bp" without renaming it).
+ */
+export function loadFormatLibrary(dir = DEFAULT_FORMATS_DIR) {
+  const library = new Map();
+  for (const raw of BUILTIN_FORMATS) {
+    const result = parseFormat(raw);
+    if (result.ok) library.set(result.format.id, { ...result.format, builtin: true });
+  }
+  for (const format of readFormatFiles(path.resolve(dir))) {
+    library.set(format.id, { ...format, builtin: false });
+  }
+  return library;
+}
+
+export function loadFormatLibraryFromEnv(env = process.env) {
+  return loadFormatLibrary(env.FORMATS_DIR || DEFAULT_FORMATS_DIR);
+}
@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Room persistence backends.
+ *
+ * A store is any object with:
+ * - load():           Array<object>  persisted room records (sync; called once on boot)
+ * - save(records):    Promise<void>  replace the persisted set with `records`
+ * - saveSync(records): void          same, but blocking (used on shutdown)
+ *
+ * server.js decides WHAT gets persisted (see serializeRoom); a store only decides WHERE.
+ *
+ * Selected via env:
+ * - ROOM_STORE=file (default) | memory
+ * - ROOM_STORE_PATH=/path/to/rooms.json (default: backend/data/rooms.json, git-ignored: it holds
+ *   the control tokens)
+ */
+
+const DEFAULT_STORE_PATH = path.join(__dirname, "data", "rooms.json");
+const FILE_FORMAT_VERSION = 1;
+
+/**
+ * No-op store: state lives only as long as the process (the old behavior).
+ */
+export function createMemoryStore() {
+  let records = [];
+  return {
+    kind: "memory",
+    load: () => records.slice(),
+    save: async (next) => {
+      records = next.slice();
+    },
+    saveSync: (next) => {
+      records = next.slice();
+    },
+  };
+}
+
+/**
+ * Snapshot-file store.
+ * The whole room set is rewritten on every save via tmp file + rename,
+ * so a crash mid-write never leaves a torn file behind.
+ */
+export function createFileStore(file = DEFAULT_STORE_PATH) {
+  const target = path.resolve(file);
+  const tmp = `${target}.tmp`;
+
+  // serialize async writes so an older snapshot can never land after a newer one
+  let pending = Promise.resolve();
+
+  const encode = (records) =>
+    JSON.stringify({ version: FILE_FORMAT_VERSION, savedAt: Date.now(), rooms: records });
+
+  return {
+    kind: "file",
+    file: target,
+
+    load() {
+      let raw;
+      try {
+        raw = fs.readFileSync(target, "utf8");
+      } catch (err) {
+        if (err?.code === "ENOENT") return [];
+        console.warn("[persist] Could not read", target, err?.message || err);
+        return [];
+      }
+
+      try {
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed?.rooms) ? parsed.rooms : [];
+      } catch {
+        console.warn("[persist] Ignoring corrupt store file:", target);
+        return [];
+      }
+    },
+
+    save(records) {
+      const body = encode(records);
+      pending = pending
+        .catch(() => {})
+        .then(async () => {
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          await fs.promises.writeFile(tmp, body);
+          await fs.promises.rename(tmp, target);
+        });
+      return pending;
+    },
+
+    saveSync(records) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(tmp, encode(records));
+      fs.renameSync(tmp, target);
+    },
+  };
+}
+
+export function createStoreFromEnv(env = process.env) {
+  const kind = (env.ROOM_STORE || "file").toString().toLowerCase();
+  if (kind === "memory" || kind === "none") return createMemoryStore();
+  return createFileStore(env.ROOM_STORE_PATH || DEFAULT_STORE_PATH);
+}
@@ -0,0 +1,207 @@
+/**
+ * Session report: turns a room's event log into per-run speaking statistics.
+ *
+ * The log is what server.js records for every accepted command (see recordEvent):
+ *   { at, type, ...detail }
+ * with detail for the events that matter here:
+ * - start:      { mode, plannedMs, speakerName, topic, agendaIndex }
+ * - adjustTime: { deltaMs, remainingMs } (countdown/deadline) or { deltaMs, elapsedMs } (stopwatch),
+ *               read after the change, since the server may clamp the requested delta
+ * - finish:     { auto: true } when the countdown ran out by itself
+ * - chess rooms: finish / switchSide also carry { side, status } (room status afterwards)
+ * - undo / redo: { mode, status } afterwards. The replay follows the status it landed on:
+ *               idle ends the run, running / paused switch the open segment, and landing
+ *               on a live timer with no run open (an undone reset) reopens the run it ended
+ *
+ * A "run" is one start -> finish/reset/next/previous/setMode/loadFormat (or the next start).
+ * In a chess room the run is the whole round: one side running out only pauses it
+ * until switchSide hands over, and it ends once both sides are done.
+ * Everything else (metadata, thresholds, agenda edits) is kept in the log but doesn't
+ * affect the numbers.
+ */
+
+const RUN_ENDING = new Set(["finish", "reset", "next", "previous", "setMode", "loadFormat"]);
+const RUN_MODES = new Set(["countdown", "stopwatch", "chess", "deadline"]);
+
+function openRun(e, index) {
+  return {
+    run: index,
+    mode: RUN_MODES.has(e.mode) ? e.mode : "countdown",
+    speakerName: e.speakerName || "",
+    topic: e.topic || "",
+    agendaIndex: typeof e.agendaIndex === "number" ? e.agendaIndex : -1,
+    startedAt: e.at,
+    endedAt: null,
+    endedBy: null,
+    plannedMs: typeof e.plannedMs === "number" ? e.plannedMs : null,
+    adjustedMs: 0,
+    actualMs: 0,
+    pausedMs: 0,
+    overrunMs: null,
+    // replay bookkeeping, stripped before returning
+    _runningSince: e.at,
+    _pausedSince: null,
+  };
+}
+
+// Count the open running/paused segment up to `at`, and keep it open from there
+function settle(run, at) {
+  if (run._runningSince !== null) {
+    run.actualMs += Math.max(0, at - run._runningSince);
+    run._runningSince = at;
+  }
+  if (run._pausedSince !== null) {
+    run.pausedMs += Math.max(0, at - run._pausedSince);
+    run._pausedSince = at;
+  }
+}
+
+function closeSegments(run, at) {
+  settle(run, at);
+  run._runningSince = null;
+  run._pausedSince = null;
+}
+
+// The delta the server actually applied, from the state it reported afterwards
+function effectiveAdjustment(run, e) {
+  if (run.mode === "stopwatch" && typeof e.elapsedMs === "number") {
+    return e.elapsedMs - (run.actualMs + run.adjustedMs);
+  }
+  const countsDown = run.mode === "countdown" || run.mode === "deadline";
+  if (countsDown && typeof e.remainingMs === "number" && run.plannedMs !== null) {
+    return run.actualMs + e.remainingMs - (run.plannedMs + run.adjustedMs);
+  }
+  return Number(e.deltaMs) || 0;
+}
+
+/**
+ * Countdown / deadline: adjustTime moves the deadline, so it changes the ALLOWANCE.
+ * Stopwatch: adjustTime corrects the elapsed time, so it changes what was SPOKEN;
+ * the allowance there is the red cue (no cue => no overrun to speak of).
+ */
+function finishRun(run) {
+  if (run.mode === "stopwatch") {
+    run.actualMs = Math.max(0, run.actualMs + run.adjustedMs);
+    run.overrunMs = run.plannedMs === null ? null : Math.max(0, run.actualMs - run.plannedMs);
+  } else if (run.plannedMs !== null) {
+    // countdown / deadline / chess: allowance is the planned bank(s) plus adjustments
+    run.overrunMs = Math.max(0, run.actualMs - (run.plannedMs + run.adjustedMs));
+  }
+
+  const { _runningSince, _pausedSince, ...clean } = run;
+  return clean;
+}
+
+/**
+ * Replay `events` into runs. A run still in progress is measured up to `at`
+ * and returned with endedAt/endedBy null.
+ */
+export function buildRuns(events, at = Date.now()) {
+  const runs = [];
+  let run = null;
+  let lastClosed = null; // the run close() ended last, as it was before finishRun
+
+  const close = (e) => {
+    closeSegments(run, e.at);
+    run.endedAt = e.at;
+    run.endedBy = e.auto ? "timeout" : e.type;
+    lastClosed = { ...run };
+    runs.push(finishRun(run));
+    run = null;
+  };
+
+  // An undo/redo brought a timer back: continue the run that ended last (or a bare one)
+  const reopen = (e) => {
+    if (lastClosed && runs.at(-1)?.run === lastClosed.run) {
+      runs.pop();
+      run = { ...lastClosed, endedAt: null, endedBy: null };
+    } else {
+      run = { ...openRun(e, runs.length + 1), plannedMs: null, _runningSince: null };
+    }
+    lastClosed = null;
+  };
+
+  for (const e of events) {
+    if (!e || typeof e.at !== "number") continue;
+
+    if (e.type === "start") {
+      if (run) close(e);
+      run = openRun(e, runs.length + 1);
+      continue;
+    }
+    const history = e.type === "undo" || e.type === "redo";
+    if (!run && history && (e.status === "running" || e.status === "paused")) reopen(e);
+    if (!run) continue;
+
+    const stops =
+      e.type === "pause" || (e.type === "finish" && e.status === "paused") || (history && e.status === "paused");
+    const starts =
+      e.type === "resume" || (e.type === "switchSide" && e.status === "running") || (history && e.status === "running");
+
+    if (stops) {
+      if (run._pausedSince !== null) continue;
+      closeSegments(run, e.at);
+      run._pausedSince = e.at;
+    } else if (starts) {
+      if (run._runningSince !== null) continue;
+      closeSegments(run, e.at);
+      run._runningSince = e.at;
+    } else if (e.type === "adjustTime") {
+      settle(run, e.at);
+      run.adjustedMs += effectiveAdjustment(run, e);
+    } else if (RUN_ENDING.has(e.type) || (history && e.status === "idle")) {
+      close(e);
+    }
+  }
+
+  if (run) {
+    closeSegments(run, at);
+    runs.push(finishRun(run));
+  }
+  return runs;
+}
+
+export function summarizeRuns(runs) {
+  const over = runs.filter((r) => r.overrunMs > 0);
+  return {
+    runs: runs.length,
+    totalActualMs: runs.reduce((sum, r) => sum + r.actualMs, 0),
+    totalPausedMs: runs.reduce((sum, r) => sum + r.pausedMs, 0),
+    overrunCount: over.length,
+    totalOverrunMs: over.reduce((sum, r) => sum + r.overrunMs, 0),
+  };
+}
+
+// ---- CSV ----
+const CSV_COLUMNS = [
+  ["run", (r) => r.run],
+  ["speaker", (r) => r.speakerName],
+  ["topic", (r) => r.topic],
+  ["mode", (r) => r.mode],
+  ["started_at", (r) => new Date(r.startedAt).toISOString()],
+  ["ended_at", (r) => (r.endedAt === null ? "" : new Date(r.endedAt).toISOString())],
+  ["ended_by", (r) => r.endedBy ?? "running"],
+  ["planned_s", (r) => seconds(r.plannedMs)],
+  ["adjusted_s", (r) => seconds(r.adjustedMs)],
+  ["actual_s", (r) => seconds(r.actualMs)],
+  ["paused_s", (r) => seconds(r.pausedMs)],
+  ["overrun_s", (r) => seconds(r.overrunMs)],
+];
+
+// Spreadsheets read seconds better than ms
+function seconds(ms) {
+  return typeof ms === "number" ? Math.round(ms / 100) / 10 : "";
+}
+
+function csvField(value) {
+  let v = String(value ?? "");
+  // names are user input: don't let "=cmd()" run as a formula when opened in a spreadsheet
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+export function runsToCsv(runs) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  for (const r of runs) lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(r))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
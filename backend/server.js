@@ -1,8 +1,13 @@
+import crypto from "crypto";
 import express from "express";
 import http from "http";
 import path from "path";
 import { fileURLToPath } from "url";
 import { WebSocketServer } from "ws";
+import { createStoreFromEnv } from "./persistence.js";
+import { loadFormatLibraryFromEnv, parseFormat } from "./formats.js";
+import { buildRuns, runsToCsv, summarizeRuns } from "./report.js";
+import { DEFAULT_TIME_ZONE, formatWallTime, isValidTimeZone, nextWallTime, parseWallTime } from "./walltime.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,6 +16,148 @@ const FRONT = path.join(ROOT, "frontend");
 
 const app = express();
 app.get("/healthz", (_req, res) => res.status(200).send("ok"));
+
+// ===== REST API =====
+// For HTTP-only tools (Stream Deck / Companion, scripts). Runs the SAME command logic
+// as the WS handler (applyCommand), and connected displays get the change immediately.
+// Mutating routes need the room's control token:
+//   Authorization: Bearer <token>   or   X-Control-Token: <token>
+app.use("/api", express.json({ limit: "16kb" }));
+
+function sendApiError(res, status, code, message) {
+  res.status(status).json({ ok: false, error: { code, message } });
+}
+
+function requestToken(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1].trim() : req.get("x-control-token") || "";
+}
+
+// POST /api/rooms/:id/<action> -> WS command type + the body fields it takes
+const REST_ACTIONS = {
+  start: { type: "start", fields: ["durationMs"], required: [] },
+  pause: { type: "pause", fields: [], required: [] },
+  resume: { type: "resume", fields: [], required: [] },
+  reset: { type: "reset", fields: ["durationMs"], required: [] },
+  adjust: { type: "adjustTime", fields: ["deltaMs"], required: ["deltaMs"] },
+  duration: { type: "setDuration", fields: ["durationMs"], required: ["durationMs"] },
+  switch: { type: "switchSide", fields: ["side"], required: [] },
+  schedule: { type: "scheduleStart", fields: ["time", "startAt", "durationMs"], required: [] },
+  unschedule: { type: "cancelSchedule", fields: [], required: [] },
+  target: { type: "setTarget", fields: ["time", "timeZone", "targetAt", "show"], required: [] },
+  message: { type: "sendMessage", fields: ["text", "priority", "durationMs"], required: ["text"] },
+  "clear-message": { type: "clearMessage", fields: [], required: [] },
+  undo: { type: "undo", fields: [], required: [] },
+  redo: { type: "redo", fields: [], required: [] },
+  audio: { type: "setAudio", fields: ["cueSet", "volume", "muted"], required: [] },
+};
+
+// Create + claim a fresh room. The caller gets the control token; share only the roomId.
+app.post("/api/rooms", (_req, res) => {
+  let roomId;
+  do {
+    roomId = randomRoomCode();
+  } while (rooms.has(roomId));
+
+  const room = ensureRoom(roomId);
+  room.controlToken = issueControlToken();
+  schedulePersist();
+
+  res.status(201).json({ roomId, controlToken: room.controlToken });
+});
+
+// Connection-health counters (see CONNECTION HEALTH)
+app.get("/api/diagnostics", (_req, res) => {
+  let clients = 0;
+  for (const room of rooms.values()) clients += room.clients.size;
+  res.json({
+    ok: true,
+    rooms: rooms.size,
+    clients,
+    sockets: wss.clients.size,
+    heartbeatMs: HEARTBEAT_MS,
+    maxBufferedBytes: MAX_BUFFERED_BYTES,
+    evictions,
+  });
+});
+
+// Format templates a room can load (built-ins + FORMATS_DIR), see formats.js
+app.get("/api/formats", (_req, res) => {
+  res.json({ ok: true, formats: [...formatLibrary.values()] });
+});
+
+app.get("/api/rooms/:id", (req, res) => {
+  const room = rooms.get(normalizeRoomId(req.params.id));
+  if (!room) return sendApiError(res, 404, "not_found", "room not found");
+  res.json({ ok: true, snapshot: buildSnapshotPayload(room) });
+});
+
+// Session report (who went over, and by how much). JSON by default; ?format=csv for
+// a spreadsheet of runs. Unlike the snapshot it carries the whole event log (messages,
+// speaker names), so it takes the control token.
+app.get("/api/rooms/:id/report", (req, res) => {
+  const roomId = normalizeRoomId(req.params.id);
+  const room = rooms.get(roomId);
+  if (!room) return sendApiError(res, 404, "not_found", "room not found");
+  if (!tokenMatches(room, requestToken(req))) {
+    return sendApiError(res, 403, "forbidden", "missing or invalid control token");
+  }
+
+  const runs = buildRuns(room.log, now());
+
+  if (req.query.format === "csv") {
+    res.type("text/csv");
+    res.attachment(`speaker-timer-${roomId}.csv`);
+    return res.send(runsToCsv(runs));
+  }
+  res.json({ ok: true, roomId, generatedAt: now(), summary: summarizeRuns(runs), runs, events: room.log });
+});
+
+// Not a state change: the room's displays just play a cue now (see sendTestSound)
+app.post("/api/rooms/:id/test-sound", (req, res) => {
+  const roomId = normalizeRoomId(req.params.id);
+  const room = rooms.get(roomId);
+  if (!room) return sendApiError(res, 404, "not_found", "room not found");
+  if (!tokenMatches(room, requestToken(req))) {
+    return sendApiError(res, 403, "forbidden", "missing or invalid control token");
+  }
+
+  const cue = req.body?.cue;
+  const cueError = testCueError(room, cue);
+  if (cueError) return sendApiError(res, 400, "invalid", cueError);
+  res.json({ ok: true, ...sendTestSound(roomId, cue) });
+});
+
+app.post("/api/rooms/:id/:action", (req, res) => {
+  const action = REST_ACTIONS[req.params.action];
+  if (!action) return sendApiError(res, 404, "unknown_action", `unknown action: ${req.params.action}`);
+
+  const roomId = normalizeRoomId(req.params.id);
+  const room = rooms.get(roomId);
+  if (!room) return sendApiError(res, 404, "not_found", "room not found");
+  if (!tokenMatches(room, requestToken(req))) {
+    return sendApiError(res, 403, "forbidden", "missing or invalid control token");
+  }
+
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const missing = action.required.find((f) => body[f] === undefined);
+  if (missing) return sendApiError(res, 400, "invalid", `${missing} is required`);
+
+  const payload = {};
+  for (const f of action.fields) if (body[f] !== undefined) payload[f] = body[f];
+
+  const result = applyCommand(roomId, action.type, payload);
+  if (!result.ok) return sendApiError(res, 400, result.code, result.message);
+  if (result.changed) commitRoomChange(roomId, action.type, payload);
+
+  res.json({ ok: true, snapshot: buildSnapshotPayload(room) });
+});
+
+// Malformed JSON bodies etc. -> JSON errors, not Express's HTML page
+app.use("/api", (err, _req, res, _next) => {
+  sendApiError(res, err.status || 400, "bad_request", err.expose ? err.message : "bad request");
+});
+
 app.use(express.static(FRONT, { extensions: ["html"] }));
 
 // Default route -> Control screen
@@ -26,16 +173,42 @@ const wss = new WebSocketServer({ server, path: "/ws" });
 
 /**
  * Room state model:
+ * - mode: "countdown" (default) | "stopwatch" | "chess" | "deadline"
  * - status: "idle" | "running" | "paused" | "finished"
  * - durationMs: configured duration (default 3:00, but can expand)
  * - deadlineMs: epoch ms when timer will hit 0 (authoritative when running)
- * - remainingMs: remaining time snapshot when paused/idle
+ * - remainingMs: remaining time snapshot when paused/idle (negative = overtime, overtime rooms only)
+ * - overtime: when true, a running timer keeps going past 0 instead of finishing
+ * - progress: "off" | "ring" | "bar", the displays' progress visualization (?progress= overrides per screen)
+ * - audio: { cueSet, volume (0..1), muted }, the displays' sound cues (see setAudio)
+ * - startedAtMs: stopwatch only; epoch ms where elapsed = 0 (authoritative when running)
+ * - elapsedMs: stopwatch only; elapsed time snapshot when paused/idle/finished
+ * - cues: stopwatch only; { yellowAtMs, redAtMs } ELAPSED time that turns yellow/red (null = never)
+ * - clocks: chess only; { a, b } each { label, durationMs, remainingMs, deadlineMs, finished, thresholds }
+ * - activeSide: chess only; "a" | "b", whose clock runs (durationMs/remainingMs/deadlineMs mirror it)
+ * - agenda: ordered [{ id, speakerName, topic, durationMs }]
+ * - agendaIndex: index of the loaded agenda entry (-1 = none loaded)
+ * - metadata: { speakerName, topic } of whoever is on now
+ * - format: { id, name } of the loaded format template, or null (see applyFormat)
+ * - prep: prep-time banks [{ id, label, durationMs, remainingMs, deadlineMs }]; deadlineMs while in use
+ * - startAt: epoch ms of a scheduled start (see scheduleStart), or null
+ * - timeZone: the venue's IANA time zone, for wall-clock times (default VENUE_TZ / the server's)
+ * - target: deadline rooms; { atMs, time: "HH:MM:SS" on the venue's clock, show } or null
+ *     show -> displays print "Ends at HH:MM" under the countdown
+ * - message: operator note on the display { id, text, priority, sentAt, expiresAt } or null
+ * - thresholds: { mode: "absolute" | "fraction", yellowAtMs, redAtMs, yellowFrac, redFrac }
+ *     absolute -> warn at fixed time left; fraction -> warn at a share of durationMs
  *
  * Snapshot contract additions (computed server-side):
  * - serverNow: epoch ms (set right before send)
- * - yellowAtMs / redAtMs: FIXED absolute thresholds (Option #1):
- *     yellowAtMs = 60_000 (1:00)
- *     redAtMs    = 30_000 (0:30)
+ * - version: monotonic per room, bumped on every change (see bumpVersion)
+ * - upNext: agenda entry after agendaIndex, or null
+ * - overtimeMs: how far past zero the timer is (0 unless overtime is on and exceeded)
+ * - elapsedMs (stopwatch rooms): live elapsed time at serverNow
+ * - yellowAtMs / redAtMs: EFFECTIVE thresholds in ms of time left (see effectiveThresholds)
+ * - clocks (chess rooms): each side's live remainingMs at serverNow + its effective yellowAtMs/redAtMs
+ * - prep: remainingMs is live at serverNow
+ * - history: { undo, undoType, redo, redoType } depth + next command of the undo/redo stacks
  */
 const rooms = new Map();
 
@@ -44,9 +217,73 @@ const now = () => Date.now();
 // ws readyState constants (don’t rely on instance.OPEN)
 const WS_OPEN = 1;
 
-// ===== FIXED THRESHOLDS (Option #1) =====
-const FIXED_YELLOW_AT_MS = 60_000;
-const FIXED_RED_AT_MS = 30_000;
+// ===== THRESHOLDS (defaults: yellow at 1:00, red at 0:30) =====
+const DEFAULT_YELLOW_AT_MS = 60_000;
+const DEFAULT_RED_AT_MS = 30_000;
+
+function defaultThresholds() {
+  return {
+    mode: "absolute",
+    yellowAtMs: DEFAULT_YELLOW_AT_MS,
+    redAtMs: DEFAULT_RED_AT_MS,
+    yellowFrac: 0.5,
+    redFrac: 0.1,
+  };
+}
+
+/**
+ * Validate a setThresholds payload.
+ * - { yellowAtMs, redAtMs } -> absolute (either may be omitted to keep the current value)
+ * - { yellowFrac, redFrac } -> fraction of durationMs, each in [0, 1]
+ * Red must come after yellow, i.e. redAt < yellowAt.
+ * Returns { ok, thresholds } or { ok: false, message }.
+ */
+function parseThresholds(p, current) {
+  if (!p || typeof p !== "object") return { ok: false, message: "payload must be an object" };
+
+  const cur = { ...defaultThresholds(), ...current };
+  const has = (k) => p[k] !== undefined && p[k] !== null;
+  const absolute = has("yellowAtMs") || has("redAtMs");
+  const fraction = has("yellowFrac") || has("redFrac");
+
+  if (absolute === fraction) {
+    return { ok: false, message: "send either yellowAtMs/redAtMs or yellowFrac/redFrac" };
+  }
+
+  if (absolute) {
+    const yellowAtMs = has("yellowAtMs") ? Number(p.yellowAtMs) : cur.yellowAtMs;
+    const redAtMs = has("redAtMs") ? Number(p.redAtMs) : cur.redAtMs;
+    if (![yellowAtMs, redAtMs].every((v) => Number.isFinite(v) && v >= 0 && v <= MAX_DURATION_MS)) {
+      return { ok: false, message: "thresholds must be between 0 and 24h" };
+    }
+    if (redAtMs >= yellowAtMs) return { ok: false, message: "red must be less time left than yellow" };
+    return {
+      ok: true,
+      thresholds: { ...cur, mode: "absolute", yellowAtMs: Math.round(yellowAtMs), redAtMs: Math.round(redAtMs) },
+    };
+  }
+
+  const yellowFrac = has("yellowFrac") ? Number(p.yellowFrac) : cur.yellowFrac;
+  const redFrac = has("redFrac") ? Number(p.redFrac) : cur.redFrac;
+  if (![yellowFrac, redFrac].every((v) => Number.isFinite(v) && v >= 0 && v <= 1)) {
+    return { ok: false, message: "fractions must be between 0 and 1" };
+  }
+  if (redFrac >= yellowFrac) return { ok: false, message: "red must be less time left than yellow" };
+  return { ok: true, thresholds: { ...cur, mode: "fraction", yellowFrac, redFrac } };
+}
+
+/**
+ * Resolve a room's threshold setting into ms-of-time-left for this duration.
+ * Rooms persisted before thresholds were configurable have no `mode` -> defaults.
+ */
+function effectiveThresholds(s) {
+  const t = s.thresholds?.mode ? s.thresholds : defaultThresholds();
+  if (t.mode === "fraction") {
+    const dur = Number(s.durationMs) || 0;
+    return { yellowAtMs: Math.round(dur * t.yellowFrac), redAtMs: Math.round(dur * t.redFrac) };
+  }
+  return { yellowAtMs: t.yellowAtMs, redAtMs: t.redAtMs };
+}
 
 function normalizeRoomId(v) {
   const id = (v || "").toString().toUpperCase().slice(0, 8);
@@ -58,11 +295,53 @@ function normalizeRole(v) {
   return r === "control" ? "control" : "display";
 }
 
+// ===== CONTROL TOKENS =====
+// A room is "claimed" once it has a control token. Only sockets presenting that token
+// get role=control; everyone else is downgraded to display. The token lives on the room
+// (NOT in room.state) so it never leaks into snapshots or display links.
+function issueControlToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+// same shape as control.js's randomRoom(): 4 chars, A-Z0-9
+function randomRoomCode() {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+  let code = "";
+  for (let i = 0; i < 4; i++) code += alphabet[crypto.randomInt(alphabet.length)];
+  return code;
+}
+
+function tokenMatches(room, token) {
+  if (!room?.controlToken || typeof token !== "string" || !token) return false;
+  const a = Buffer.from(room.controlToken);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Decide the effective role for a socket asking for `requestedRole` in `room`.
+ * The first control client of an unclaimed room claims it and receives the token.
+ */
+function authorizeRole(room, requestedRole, token, holdsControl = false) {
+  if (requestedRole !== "control") return { role: "display", issuedToken: null };
+  // already control of this room on this socket (see the "join" handler)
+  if (holdsControl) return { role: "control", issuedToken: null };
+
+  if (!room.controlToken) {
+    room.controlToken = issueControlToken();
+    return { role: "control", issuedToken: room.controlToken };
+  }
+
+  if (tokenMatches(room, token)) return { role: "control", issuedToken: null };
+  return { role: "display", issuedToken: null };
+}
+
 function ensureRoom(roomId) {
   if (!rooms.has(roomId)) {
     rooms.set(roomId, {
       state: {
         roomId,
+        mode: "countdown",
         status: "idle",
         durationMs: 180_000,
         deadlineMs: null,
@@ -72,15 +351,46 @@ function ensureRoom(roomId) {
         t0: null, // epoch ms start time when running, else null
         elapsedPausedMs: 0,
 
-        // kept for back-compat; NOT used for display thresholds anymore
-        thresholds: { yellowFrac: 0.5, redFrac: 0.1 },
+        thresholds: defaultThresholds(),
+
+        overtime: false,
+
+        progress: "off", // see setProgress
+        audio: defaultAudio(), // see setAudio
+
+        // stopwatch mode (see applyStopwatchCommand)
+        startedAtMs: null,
+        elapsedMs: 0,
+        cues: { yellowAtMs: null, redAtMs: null },
+
+        // chess mode (see applyChessCommand)
+        clocks: defaultClocks(180_000),
+        activeSide: "a",
+
+        agenda: [],
+        agendaIndex: -1,
+        metadata: { speakerName: "", topic: "" },
+
+        // format templates (see applyFormat)
+        format: null,
+        prep: [],
+
+        startAt: null, // scheduled start (see startIfDue)
+
+        // deadline mode (see applyDeadlineCommand)
+        timeZone: DEFAULT_TIME_ZONE,
+        target: null,
+
+        message: null, // operator note (see sendMessage)
 
+        version: 0, // bumped on every broadcast-worthy change (see bumpVersion)
         updatedAt: now(),
       },
       clients: new Set(),
-      // cache last broadcast msg per tick to avoid rebuilding per-client
-      _lastMsg: null,
-      _lastMsgAt: 0,
+      controlToken: null, // set when the room is claimed (see authorizeRole)
+      _deadlineTimer: null, // see armDeadlineTimer
+      log: [], // session event log (see recordEvent)
+      history: { past: [], future: [] }, // undo/redo (see recordHistory)
     });
   }
   return rooms.get(roomId);
@@ -97,7 +407,28 @@ function remainingFromAuthoritative(s, at = now()) {
   return clampNonNeg(s.remainingMs);
 }
 
+/**
+ * Like remainingFromAuthoritative, but keeps going negative past the deadline
+ * (only for rooms with overtime enabled; everyone else is clamped at 0).
+ */
+function signedRemaining(s, at = now()) {
+  if (!s.overtime || s.mode === "chess") return remainingFromAuthoritative(s, at);
+  if (s.status === "running" && typeof s.deadlineMs === "number") return s.deadlineMs - at;
+  return Number(s.remainingMs) || 0;
+}
+
+function overtimeMsFor(s, at = now()) {
+  if (s.status === "idle" || s.mode === "stopwatch" || s.mode === "chess") return 0;
+  return clampNonNeg(-signedRemaining(s, at));
+}
+
 function syncLegacyFields(s, at = now()) {
+  if (s.mode === "stopwatch") {
+    s.elapsedPausedMs = stopwatchElapsed(s, at);
+    s.t0 = s.status === "running" ? s.startedAtMs : null;
+    return;
+  }
+
   const rem = remainingFromAuthoritative(s, at);
   s.elapsedPausedMs = clampNonNeg((Number(s.durationMs) || 0) - rem);
 
@@ -109,352 +440,1672 @@ function syncLegacyFields(s, at = now()) {
   }
 }
 
-/**
- * Finalize immediately when elapsed
- */
-function finalizeIfElapsed(roomId, at = now()) {
-  const room = rooms.get(roomId);
-  if (!room) return false;
-  const s = room.state;
-  if (s.status !== "running") return false;
+// ===== STOPWATCH =====
+// Stopwatch rooms count UP, mirroring the countdown authority model:
+// startedAtMs is authoritative while running, elapsedMs while paused/idle/finished.
+const TIMER_MODES = new Set(["countdown", "stopwatch", "chess", "deadline"]);
 
-  if (remainingFromAuthoritative(s, at) <= 0) {
-    s.status = "finished";
-    s.deadlineMs = null;
-    s.remainingMs = 0;
-    s.updatedAt = at;
-    syncLegacyFields(s, at);
-    return true;
+function stopwatchElapsed(s, at = now()) {
+  if (s.status === "running" && typeof s.startedAtMs === "number") {
+    return clampNonNeg(at - s.startedAtMs);
   }
-  return false;
+  return clampNonNeg(s.elapsedMs);
 }
 
-function makeSnapshotPayload(s, serverNowMs) {
-  return {
-    ...s,
-    yellowAtMs: FIXED_YELLOW_AT_MS,
-    redAtMs: FIXED_RED_AT_MS,
-    serverNow: serverNowMs,
-  };
-}
+/**
+ * Stopwatch semantics for the timer commands. Returns false for anything it doesn't
+ * own (setMetadata, agenda, ...) so the regular handler deals with it.
+ */
+function applyStopwatchCommand(s, type, payload, at = now()) {
+  switch (type) {
+    case "start":
+      s.status = "running";
+      s.elapsedMs = 0;
+      s.startedAtMs = at;
+      break;
+
+    case "pause":
+      if (s.status !== "running") break;
+      s.elapsedMs = stopwatchElapsed(s, at);
+      s.startedAtMs = null;
+      s.status = "paused";
+      break;
+
+    case "resume":
+      if (s.status !== "paused") break;
+      s.startedAtMs = at - clampNonNeg(s.elapsedMs);
+      s.status = "running";
+      break;
+
+    case "reset":
+      s.status = "idle";
+      s.elapsedMs = 0;
+      s.startedAtMs = null;
+      break;
+
+    case "adjustTime": {
+      // +30s means "30s more elapsed"
+      const elapsed = clampNonNeg(stopwatchElapsed(s, at) + Number(payload?.deltaMs ?? 0));
+      if (s.status === "running") s.startedAtMs = at - elapsed;
+      else s.elapsedMs = elapsed;
+      break;
+    }
 
-function buildSnapshotMessage(room) {
-  const serverNowMs = now();
+    case "finish":
+      s.elapsedMs = stopwatchElapsed(s, at);
+      s.startedAtMs = null;
+      s.status = "finished";
+      break;
 
-  // Always keep state consistent before snapshot
-  finalizeIfElapsed(room.state.roomId, serverNowMs);
-  syncLegacyFields(room.state, serverNowMs);
+    default:
+      return false;
+  }
 
-  return JSON.stringify({
-    type: "snapshot",
-    payload: makeSnapshotPayload(room.state, serverNowMs),
-  });
+  s.updatedAt = at;
+  syncLegacyFields(s, at);
+  return true;
 }
 
-function sendSnapshot(ws, roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
+/**
+ * Validate a setCues payload: { yellowAtMs, redAtMs }, each a number of elapsed ms or null.
+ * Counting up, yellow must come before red.
+ */
+function parseCues(p) {
+  if (!p || typeof p !== "object") return { ok: false, message: "payload must be an object" };
+
+  const cues = {};
+  for (const key of ["yellowAtMs", "redAtMs"]) {
+    const v = p[key];
+    if (v === undefined || v === null || v === "") {
+      cues[key] = null;
+      continue;
+    }
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_DURATION_MS) {
+      return { ok: false, message: `${key} must be between 0 and 24h, or null` };
+    }
+    cues[key] = Math.round(n);
+  }
 
-  const msg = buildSnapshotMessage(room);
-  try {
-    ws.send(msg);
-  } catch {}
+  if (cues.yellowAtMs !== null && cues.redAtMs !== null && cues.yellowAtMs >= cues.redAtMs) {
+    return { ok: false, message: "yellow cue must come before red cue" };
+  }
+  return { ok: true, cues };
 }
 
-function broadcast(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-
-  const msg = buildSnapshotMessage(room);
-
-  room.clients.forEach((ws) => {
-    if (ws.readyState === WS_OPEN) {
-      try {
-        ws.send(msg);
-      } catch {}
-    }
-  });
+// ===== CHESS CLOCK =====
+// Two countdown banks ("a" / "b") for debates: only the ACTIVE side's clock runs, and
+// switchSide hands over. Each clock follows the countdown authority model (deadlineMs
+// while running, remainingMs otherwise) and can carry its own thresholds (null = the
+// room's). The room-level countdown fields MIRROR the active clock (see
+// mirrorActiveClock), so deadline timers, keepalives and older clients keep working.
+// A side that runs out is finished; the room pauses until switchSide, and is finished
+// once both sides are.
+const CHESS_SIDES = ["a", "b"];
+const MAX_SIDE_LABEL_LEN = 40;
+
+function makeClock(label, durationMs = 180_000) {
+  return { label, durationMs, remainingMs: durationMs, deadlineMs: null, finished: false, thresholds: null };
 }
 
-/**
- * High-frequency "authoritative heartbeat" snapshots
- * This is what removes the perceived lag between control and display.
- *
- * - We broadcast frequently ONLY when there are clients and the room is active-ish.
- * - Also covers cases where control page does local UI updates; the display stays tightly synced.
- */
-const SNAPSHOT_TICK_MS = 100;
-
-setInterval(() => {
-  const t = now();
-
-  for (const [roomId, room] of rooms.entries()) {
-    if (!room || room.clients.size === 0) continue;
-
-    const s = room.state;
-    const active =
-      s.status === "running" || s.status === "paused" || s.status === "finished";
-
-    if (!active) continue;
-
-    // finalize if needed (only matters when running)
-    const changed = finalizeIfElapsed(roomId, t);
-
-    // Build once per tick per room (cache by time bucket)
-    // Note: we still include a fresh serverNow each tick.
-    const msg = (() => {
-      // Avoid rebuilding within same tick timestamp
-      if (room._lastMsg && room._lastMsgAt === t) return room._lastMsg;
-      const m = JSON.stringify({
-        type: "snapshot",
-        payload: makeSnapshotPayload(
-          (() => {
-            syncLegacyFields(s, t);
-            return s;
-          })(),
-          t
-        ),
-      });
-      room._lastMsg = m;
-      room._lastMsgAt = t;
-      return m;
-    })();
-
-    room.clients.forEach((ws) => {
-      if (ws.readyState === WS_OPEN) {
-        try {
-          ws.send(msg);
-        } catch {}
-      }
-    });
+function defaultClocks(durationMs) {
+  return { a: makeClock("Side A", durationMs), b: makeClock("Side B", durationMs) };
+}
 
-    // If we just transitioned to finished, keep broadcasting (clients will stop showing overtime anyway)
-    // (no special handling needed; active includes finished)
-    void changed;
-  }
-}, SNAPSHOT_TICK_MS);
+const otherSide = (side) => (side === "a" ? "b" : "a");
 
-function detachFromRoom(ws) {
-  const prevRoomId = ws._roomId;
-  if (!prevRoomId) return;
+function clockRemaining(c, at = now()) {
+  if (typeof c.deadlineMs === "number") return clampNonNeg(c.deadlineMs - at);
+  return clampNonNeg(c.remainingMs);
+}
 
-  const prevRoom = rooms.get(prevRoomId);
-  if (prevRoom) prevRoom.clients.delete(ws);
+// Stop a clock where it is (no-op if it isn't running)
+function freezeClock(c, at) {
+  c.remainingMs = clockRemaining(c, at);
+  c.deadlineMs = null;
+}
 
-  ws._roomId = null;
+function flagClock(c) {
+  c.remainingMs = 0;
+  c.deadlineMs = null;
+  c.finished = true;
 }
 
-function attachToRoom(ws, roomId) {
-  const id = normalizeRoomId(roomId);
-  const room = ensureRoom(id);
-  room.clients.add(ws);
-  ws._roomId = id;
-  return id;
+function resetClocks(s, durationMs) {
+  for (const side of CHESS_SIDES) {
+    const c = s.clocks[side];
+    if (typeof durationMs === "number") c.durationMs = durationMs;
+    c.remainingMs = c.durationMs;
+    c.deadlineMs = null;
+    c.finished = false;
+  }
 }
 
-wss.on("connection", (ws, req) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
+// After a clock stopped: wait for switchSide, unless nobody has time left
+function stoppedChessStatus(s) {
+  return CHESS_SIDES.every((side) => s.clocks[side].finished) ? "finished" : "paused";
+}
 
-  // Initial bind from URL
-  const initialRoomId = normalizeRoomId(url.searchParams.get("room"));
-  const initialRole = normalizeRole(url.searchParams.get("role"));
+function mirrorActiveClock(s) {
+  const c = s.clocks[s.activeSide];
+  s.durationMs = c.durationMs;
+  s.remainingMs = c.remainingMs;
+  s.deadlineMs = s.status === "running" ? c.deadlineMs : null;
+}
 
-  ws._role = initialRole;
-  attachToRoom(ws, initialRoomId);
+// undefined = "not given"; null = invalid
+function parseSide(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  return CHESS_SIDES.includes(v) ? v : null;
+}
 
-  // Send initial snapshot immediately
-  sendSnapshot(ws, ws._roomId);
+// Thresholds shown for one side: its own, else the room's (same rules as effectiveThresholds)
+function clockThresholds(s, c) {
+  return effectiveThresholds({ durationMs: c.durationMs, thresholds: c.thresholds ?? s.thresholds });
+}
 
-  ws.on("message", (data) => {
-    let msg;
-    try {
-      msg = JSON.parse(data);
-    } catch {
-      return;
+/**
+ * Chess-clock semantics for the timer commands (+ switchSide / setSideLabel).
+ * Commands that take an optional `side` default to the active side (adjustTime) or
+ * both sides (setDuration). Returns false for anything it doesn't own so the regular
+ * handler deals with it, or an error result.
+ */
+function applyChessCommand(s, type, payload, at = now()) {
+  const side = parseSide(payload?.side);
+  if (side === null) return invalid('side must be "a" or "b"');
+  const active = s.clocks[s.activeSide];
+
+  switch (type) {
+    case "start": {
+      const dur = payload?.durationMs ?? null;
+      resetClocks(s, dur === null ? undefined : clampDuration(dur, s.durationMs));
+      s.activeSide = side ?? s.activeSide;
+      s.clocks[s.activeSide].deadlineMs = at + s.clocks[s.activeSide].remainingMs;
+      s.status = "running";
+      break;
     }
 
-    const { type, payload } = msg || {};
-
-    // Allow dynamic room switching / leaving (fix for stale subscriptions)
-    if (type === "join") {
-      const nextRoomId = normalizeRoomId(payload?.roomId);
-      const nextRole = normalizeRole(payload?.role ?? ws._role);
-
-      ws._role = nextRole;
+    case "pause":
+      if (s.status !== "running") return UNCHANGED;
+      freezeClock(active, at);
+      s.status = "paused";
+      break;
+
+    case "resume":
+      if (s.status !== "paused" || active.finished) return UNCHANGED;
+      active.deadlineMs = at + active.remainingMs;
+      s.status = "running";
+      break;
+
+    case "switchSide": {
+      const target = side ?? otherSide(s.activeSide);
+      if (target === s.activeSide) return UNCHANGED;
+      const wasRunning = s.status === "running";
+
+      freezeClock(active, at);
+      s.activeSide = target;
+      const next = s.clocks[target];
+
+      // hand over a running clock; otherwise just select which side goes next
+      if (wasRunning && !next.finished) next.deadlineMs = at + next.remainingMs;
+      else if (wasRunning) s.status = stoppedChessStatus(s);
+      break;
+    }
 
-      const prevRoomId = ws._roomId;
-      if (prevRoomId !== nextRoomId) {
-        detachFromRoom(ws);
-        attachToRoom(ws, nextRoomId);
+    case "reset":
+      resetClocks(s);
+      s.activeSide = "a";
+      s.status = "idle";
+      break;
+
+    case "adjustTime": {
+      const c = s.clocks[side ?? s.activeSide];
+      const delta = Number(payload?.deltaMs ?? 0);
+
+      if (typeof c.deadlineMs === "number") {
+        c.deadlineMs = Math.max(at + 1000, c.deadlineMs + delta);
+      } else {
+        c.remainingMs = clampNonNeg(c.remainingMs + delta);
+        if (c.remainingMs > c.durationMs) c.durationMs = c.remainingMs;
+        c.finished = c.remainingMs <= 0;
+        // giving a flagged side time back reopens the round
+        if (s.status === "finished" && !c.finished) s.status = "paused";
       }
-
-      sendSnapshot(ws, ws._roomId);
-      return;
+      break;
     }
 
-    if (type === "leave") {
-      detachFromRoom(ws);
-      return;
+    case "setDuration": {
+      const dur = clampDuration(payload?.durationMs ?? s.durationMs, s.durationMs);
+      for (const key of side ? [side] : CHESS_SIDES) {
+        const c = s.clocks[key];
+        c.durationMs = dur;
+        // a clock that hasn't started this round takes the new bank right away
+        if (s.status === "idle") c.remainingMs = dur;
+      }
+      break;
     }
 
-    // From here on, all actions apply to the socket's CURRENT room
-    const roomId = ws._roomId;
-    if (!roomId) return;
-
-    const room = rooms.get(roomId);
-    if (!room) return;
-
-    const role = ws._role || "display";
-
-    const mutating =
-      type === "start" ||
-      type === "pause" ||
-      type === "resume" ||
-      type === "reset" ||
-      type === "adjustTime" ||
-      type === "setDuration" ||
-      type === "setThresholds" ||
-      type === "finish";
-
-    if (mutating && role !== "control") return;
-
-    // Finalize BEFORE applying any new command.
-    const n = now();
-    finalizeIfElapsed(roomId, n);
-
-    const s = room.state;
-
-    switch (type) {
-      case "start": {
-        const durationMs = Math.max(1000, Number(payload?.durationMs ?? s.durationMs));
-        s.status = "running";
-        s.durationMs = durationMs;
-        s.remainingMs = durationMs;
-        s.deadlineMs = n + durationMs;
-        s.updatedAt = n;
-        syncLegacyFields(s, n);
+    case "setThresholds": {
+      // without a side this is the room-wide setting (regular handler)
+      if (!side) return false;
+      const c = s.clocks[side];
+      if (payload.reset === true) {
+        c.thresholds = null;
         break;
       }
+      const parsed = parseThresholds(payload, c.thresholds ?? s.thresholds);
+      if (!parsed.ok) return invalid(parsed.message);
+      c.thresholds = parsed.thresholds;
+      break;
+    }
 
-      case "pause": {
-        if (s.status !== "running") break;
-        const rem = remainingFromAuthoritative(s, n);
-        s.status = "paused";
-        s.remainingMs = rem;
-        s.deadlineMs = null;
-        s.updatedAt = n;
-        syncLegacyFields(s, n);
-        break;
-      }
+    case "setSideLabel":
+      if (!side) return invalid('side must be "a" or "b"');
+      s.clocks[side].label = cleanText(payload?.label, MAX_SIDE_LABEL_LEN) || `Side ${side.toUpperCase()}`;
+      break;
 
-      case "resume": {
-        if (s.status !== "paused") break;
-        const rem = clampNonNeg(s.remainingMs);
-        s.status = "running";
-        s.deadlineMs = n + rem;
-        s.updatedAt = n;
-        syncLegacyFields(s, n);
-        break;
-      }
+    case "finish":
+      if (s.status === "idle" || active.finished) return UNCHANGED;
+      flagClock(active);
+      s.status = stoppedChessStatus(s);
+      break;
 
-      case "reset": {
-        s.status = "idle";
-        s.remainingMs = Math.max(0, Number(s.durationMs) || 0);
-        s.deadlineMs = null;
-        s.updatedAt = n;
-        syncLegacyFields(s, n);
-        break;
-      }
+    default:
+      return false;
+  }
 
-      case "setDuration": {
-        // preserve elapsed time when changing duration while running
-        const newDur = Math.max(1000, Number(payload?.durationMs ?? s.durationMs));
+  mirrorActiveClock(s);
+  s.updatedAt = at;
+  syncLegacyFields(s, at);
+  return OK;
+}
 
-        const oldDur = Math.max(1000, Number(s.durationMs) || 180_000);
-        const currentRem = remainingFromAuthoritative(s, n);
-        const elapsed = clampNonNeg(oldDur - currentRem);
+// ===== FORMATS + PREP TIME =====
+// loadFormat turns a template (see formats.js) into the room's agenda, and gives each
+// team its prep bank. A bank is a small countdown of its own (deadlineMs while someone
+// is prepping, remainingMs otherwise); only one runs at a time, and never during a speech.
+const formatLibrary = loadFormatLibraryFromEnv();
 
-        s.durationMs = newDur;
+function makePrepBank(b) {
+  return { id: b.id, label: b.label, durationMs: b.durationMs, remainingMs: b.durationMs, deadlineMs: null };
+}
 
-        if (s.status === "running") {
-          const newRem = clampNonNeg(newDur - elapsed);
-          s.remainingMs = newRem;
-          s.deadlineMs = n + newRem;
-        } else {
-          const clampedRem = Math.min(currentRem, newDur);
-          s.remainingMs = clampNonNeg(clampedRem);
-          s.deadlineMs = null;
-        }
+function prepRemaining(bank, at = now()) {
+  if (typeof bank.deadlineMs === "number") return clampNonNeg(bank.deadlineMs - at);
+  return clampNonNeg(bank.remainingMs);
+}
 
-        s.updatedAt = n;
-        syncLegacyFields(s, n);
-        break;
-      }
+function runningPrepBank(s) {
+  return s.prep.find((b) => typeof b.deadlineMs === "number") || null;
+}
 
-      case "adjustTime": {
-        const delta = Number(payload?.deltaMs ?? 0);
+function stopPrep(s, at) {
+  const bank = runningPrepBank(s);
+  if (!bank) return false;
+  bank.remainingMs = prepRemaining(bank, at);
+  bank.deadlineMs = null;
+  return true;
+}
 
-        if (s.status === "running" && typeof s.deadlineMs === "number") {
-          const minDeadline = n + 1000;
-          s.deadlineMs = Math.max(minDeadline, s.deadlineMs + delta);
+// A bank that ran dry just stops (no alarm, the speech timer is what matters)
+function finalizePrepIfElapsed(s, at) {
+  const bank = runningPrepBank(s);
+  if (!bank || prepRemaining(bank, at) > 0) return false;
+  bank.remainingMs = 0;
+  bank.deadlineMs = null;
+  s.updatedAt = at;
+  return true;
+}
 
-          const newRemaining = remainingFromAuthoritative(s, n);
-          s.remainingMs = newRemaining;
+// { formatId } from the library, or an inline { format } (user JSON)
+function resolveFormat(payload) {
+  if (payload?.format !== undefined) return parseFormat(payload.format);
+  const format = formatLibrary.get(String(payload?.formatId ?? ""));
+  return format ? { ok: true, format } : { ok: false, message: "unknown format" };
+}
 
-          if (newRemaining > s.durationMs) s.durationMs = newRemaining;
+function applyFormat(s, format, at) {
+  s.mode = "countdown";
+  s.agenda = format.segments.map((seg) =>
+    makeAgendaEntry({ speakerName: seg.name, topic: seg.topic, durationMs: seg.durationMs })
+  );
+  s.agendaIndex = -1;
+  loadAgendaEntry(s, 0, at); // idle, first segment's duration + name
+  s.format = { id: format.id, name: format.name };
+  s.prep = format.prep.map(makePrepBank);
+}
 
-          s.updatedAt = n;
-          syncLegacyFields(s, n);
-        } else {
-          let newRem = clampNonNeg(s.remainingMs + delta);
-          if (newRem > s.durationMs) s.durationMs = newRem;
-          s.remainingMs = newRem;
-          s.updatedAt = n;
-          s.deadlineMs = null;
-          syncLegacyFields(s, n);
-        }
-        break;
-      }
+function findPrepBank(s, bankId) {
+  return s.prep.find((b) => b.id === bankId) || null;
+}
 
-      case "setThresholds": {
-        // Option #1: thresholds are FIXED server-side (1:00 / 0:30).
-        // Keep message type for backwards-compat; store payload but don't change behavior.
-        if (payload && typeof payload === "object") {
-          const yf = Number(payload?.yellowFrac);
-          const rf = Number(payload?.redFrac);
-          if (Number.isFinite(yf) || Number.isFinite(rf)) {
-            s.thresholds = {
-              yellowFrac: Number.isFinite(yf) ? yf : s.thresholds?.yellowFrac ?? 0.5,
-              redFrac: Number.isFinite(rf) ? rf : s.thresholds?.redFrac ?? 0.1,
-            };
-          }
-        }
-        s.updatedAt = n;
-        break;
-      }
+// ===== SCHEDULED START =====
+// scheduleStart stores a wall-clock startAt (epoch ms); the room starts itself at that
+// instant, timed FROM startAt (deadlineMs = startAt + durationMs) rather than from when
+// the server got around to it. Displays count down a pre-roll to it meanwhile.
+const MAX_SCHEDULE_AHEAD_MS = 7 * 24 * 60 * 60_000;
 
-      case "finish": {
-        s.status = "finished";
-        s.deadlineMs = null;
-        s.remainingMs = 0;
-        s.updatedAt = n;
-        syncLegacyFields(s, n);
+/**
+ * scheduleStart payload: { time: "HH:MM[:SS]" } (next occurrence on the venue's clock,
+ * s.timeZone, like setTarget) or { startAt } (epoch ms / ISO with offset).
+ * Returns { ok, startAt } or { ok: false, message }.
+ */
+function parseStartAt(payload, s, at = now()) {
+  let ms;
+  if (payload?.startAt !== undefined) {
+    const v = payload.startAt;
+    ms = typeof v === "string" && !/^\d+$/.test(v.trim()) ? Date.parse(v) : Number(v);
+    if (!Number.isFinite(ms)) return { ok: false, message: "startAt must be an epoch ms timestamp or ISO date" };
+  } else {
+    const time = parseWallTime(payload?.time);
+    if (!time) return { ok: false, message: "time must be HH:MM or HH:MM:SS (or pass startAt)" };
+    ms = nextWallTime(time, s.timeZone, at);
+  }
+  if (ms <= at) return { ok: false, message: "startAt is in the past" };
+  if (ms - at > MAX_SCHEDULE_AHEAD_MS) return { ok: false, message: "startAt must be within 7 days" };
+  return { ok: true, startAt: Math.round(ms) };
+}
+
+function startCountdown(s, durationMs, at) {
+  s.status = "running";
+  s.durationMs = durationMs;
+  s.remainingMs = durationMs;
+  s.deadlineMs = at + durationMs;
+  s.updatedAt = at;
+  syncLegacyFields(s, at);
+}
+
+// Same as a "start" command, but as of `at` (the scheduled instant)
+function startTimerAt(s, at) {
+  if (s.mode === "stopwatch") applyStopwatchCommand(s, "start", {}, at);
+  else if (s.mode === "chess") applyChessCommand(s, "start", {}, at);
+  else if (s.mode === "deadline") applyDeadlineCommand(s, "start", {}, at);
+  else startCountdown(s, Math.max(1000, Number(s.durationMs) || 0), at);
+}
+
+function startIfDue(room, at) {
+  const s = room.state;
+  if (typeof s.startAt !== "number" || at < s.startAt) return false;
+
+  const startAt = s.startAt;
+  s.startAt = null;
+  startTimerAt(s, startAt);
+  // a deadline whose target moved before startAt can't start: the schedule just lapses
+  if (s.status === "running") recordEvent(room, "start", { scheduled: true, ...eventDetail(s, "start") }, startAt);
+  return true;
+}
+
+// ===== DEADLINE (count down to a time of day) =====
+// "This session ends at 11:45": the operator picks a wall-clock time in the venue's time
+// zone (s.timeZone) and deadlineMs is that instant, however late the timer is started.
+// durationMs is the span from start (or from now, while idle) to the target, so
+// fraction thresholds and the report still make sense. There's no pausing a time of day.
+const MAX_TARGET_AHEAD_MS = 24 * 60 * 60_000;
+
+/**
+ * setTarget payload: { time: "HH:MM[:SS]", timeZone? } (next occurrence on the venue's
+ * clock) or { targetAt } (epoch ms / ISO). Returns { ok, atMs, timeZone } or { ok: false, message }.
+ */
+function parseTarget(payload, s, at = now()) {
+  const timeZone = payload?.timeZone ?? s.timeZone;
+  if (!isValidTimeZone(timeZone)) return { ok: false, message: "timeZone must be an IANA zone like Europe/Berlin" };
+
+  let atMs;
+  if (payload?.targetAt !== undefined) {
+    const v = payload.targetAt;
+    atMs = typeof v === "string" && !/^\d+$/.test(v.trim()) ? Date.parse(v) : Number(v);
+    if (!Number.isFinite(atMs)) return { ok: false, message: "targetAt must be an epoch ms timestamp or ISO date" };
+    if (atMs <= at) return { ok: false, message: "targetAt is in the past" };
+  } else {
+    const time = parseWallTime(payload?.time);
+    if (!time) return { ok: false, message: "time must be HH:MM or HH:MM:SS" };
+    atMs = nextWallTime(time, timeZone, at);
+  }
+  if (atMs - at > MAX_TARGET_AHEAD_MS) return { ok: false, message: "the target must be within 24 hours" };
+  return { ok: true, atMs: Math.round(atMs), timeZone };
+}
+
+function setTargetAt(s, atMs) {
+  s.target = { ...s.target, atMs, time: formatWallTime(atMs, s.timeZone) };
+}
+
+// Idle deadline room: counts from "now" to the target once started
+function idleDeadline(s, at) {
+  s.status = "idle";
+  s.deadlineMs = null;
+  s.remainingMs = s.target ? clampNonNeg(s.target.atMs - at) : 0;
+  s.durationMs = Math.max(1000, s.remainingMs);
+}
+
+/**
+ * Deadline semantics for the timer commands (finish/overtime behave like countdown).
+ * Returns OK/UNCHANGED/invalid, or false for anything it doesn't own.
+ */
+function applyDeadlineCommand(s, type, payload, at = now()) {
+  switch (type) {
+    case "start":
+      if (!s.target) return invalid("set a target time first");
+      if (s.target.atMs <= at) return invalid("the target time has passed");
+      startCountdown(s, s.target.atMs - at, at);
+      return OK;
+
+    case "pause":
+    case "resume":
+      return invalid("a deadline can't be paused; move the target with adjustTime instead");
+
+    case "setDuration":
+      return invalid("deadline rooms count to a target time (setTarget)");
+
+    case "reset":
+      idleDeadline(s, at);
+      break;
+
+    case "adjustTime": {
+      // shifts the target itself: +5 min = the session may end 5 minutes later
+      if (!s.target) return invalid("set a target time first");
+      const delta = Number(payload?.deltaMs ?? 0);
+      if (s.status === "running") {
+        const minTarget = s.overtime ? -Infinity : at + 1000;
+        setTargetAt(s, Math.max(minTarget, s.target.atMs + delta));
+        s.deadlineMs = s.target.atMs;
+        s.remainingMs = remainingFromAuthoritative(s, at);
+        if (s.remainingMs > s.durationMs) s.durationMs = s.remainingMs;
+      } else {
+        setTargetAt(s, Math.max(at + 1000, s.target.atMs + delta));
+        if (s.status === "idle") idleDeadline(s, at);
+      }
+      break;
+    }
+
+    default:
+      return false;
+  }
+
+  s.updatedAt = at;
+  syncLegacyFields(s, at);
+  return OK;
+}
+
+// ===== OPERATOR MESSAGES =====
+// Short notes for the speaker ("Wrap up", "Mic check"), shown over the display until
+// cleared, replaced, or (with durationMs) dismissed by the server at expiresAt.
+const MESSAGE_PRIORITIES = new Set(["info", "warning", "urgent"]);
+const MAX_MESSAGE_LEN = 140;
+const MAX_MESSAGE_DURATION_MS = 60 * 60_000;
+
+/**
+ * sendMessage payload: { text, priority?: "info" | "warning" | "urgent", durationMs? }
+ * Returns { ok, message } or { ok: false, message }.
+ */
+function parseMessage(p, at = now()) {
+  const text = cleanText(p?.text, MAX_MESSAGE_LEN);
+  if (!text) return { ok: false, message: "text must be a non-empty string" };
+
+  const priority = p?.priority ?? "info";
+  if (!MESSAGE_PRIORITIES.has(priority)) return { ok: false, message: "priority must be info, warning or urgent" };
+
+  let expiresAt = null;
+  if (p?.durationMs !== undefined && p?.durationMs !== null) {
+    const d = Number(p.durationMs);
+    if (!Number.isFinite(d) || d < 1000 || d > MAX_MESSAGE_DURATION_MS) {
+      return { ok: false, message: "durationMs must be between 1s and 1h" };
+    }
+    expiresAt = at + Math.round(d);
+  }
+
+  return { ok: true, message: { id: crypto.randomUUID(), text, priority, sentAt: at, expiresAt } };
+}
+
+function expireMessageIfDue(s, at) {
+  if (typeof s.message?.expiresAt !== "number" || at < s.message.expiresAt) return false;
+  s.message = null;
+  s.updatedAt = at;
+  return true;
+}
+
+// ===== UNDO / REDO =====
+// A bounded per-room history of the state BEFORE every accepted control command, so a
+// mis-tapped −30s, Reset or Start can be taken back. Timestamps in a saved state are
+// absolute (deadlineMs, startedAtMs, ...), so a running timer comes back running with
+// the deadline it would have had anyway: undoing a −30s ten seconds later leaves ten
+// seconds less, it doesn't rewind the clock. The exception is coming back to a running
+// timer from a paused one (undoing a Pause): the paused time doesn't count, so it resumes
+// from where it stood (see resumeRestored). Kept off room.state and not persisted.
+const MAX_HISTORY = 50;
+
+function comparableState(s) {
+  const { version, updatedAt, ...rest } = s;
+  return JSON.stringify(rest);
+}
+
+function recordHistory(room, type, before) {
+  if (comparableState(before) === comparableState(room.state)) return; // no-op command
+  room.history.past.push({ type, state: before });
+  if (room.history.past.length > MAX_HISTORY) room.history.past.shift();
+  room.history.future = [];
+}
+
+// In place: the deadline timer and friends hold on to room.state itself
+function restoreState(room, saved, at) {
+  const s = room.state;
+  const { roomId, version } = s;
+  const current = structuredClone(s);
+  for (const key of Object.keys(s)) if (!(key in saved)) delete s[key];
+  Object.assign(s, structuredClone(saved), { roomId, version, updatedAt: at });
+  if (current.status === "paused" && s.status === "running" && current.mode === s.mode) {
+    resumeRestored(s, current, at);
+  }
+  syncLegacyFields(s, at);
+}
+
+// A saved running state, restored over a paused one: re-anchor it to `at` with the time
+// the paused state still had, like resume does (its saved deadline may be long gone)
+function resumeRestored(s, paused, at) {
+  if (s.mode === "stopwatch") {
+    s.startedAtMs = at - clampNonNeg(paused.elapsedMs);
+  } else if (s.mode === "chess") {
+    const c = s.clocks[s.activeSide];
+    c.deadlineMs = at + clampNonNeg(paused.clocks[s.activeSide].remainingMs);
+    mirrorActiveClock(s);
+  } else {
+    s.deadlineMs = at + paused.remainingMs;
+  }
+}
+
+function applyHistoryCommand(room, type, at) {
+  const { past, future } = room.history;
+  const [from, to] = type === "undo" ? [past, future] : [future, past];
+  const entry = from.pop();
+  if (!entry) return invalid(`nothing to ${type}`);
+
+  to.push({ type: entry.type, state: structuredClone(room.state) });
+  restoreState(room, entry.state, at);
+  return OK;
+}
+
+// For the Undo / Redo buttons: how deep, and what the next step would take back
+function historySummary(room) {
+  const { past, future } = room.history;
+  return {
+    undo: past.length,
+    undoType: past.at(-1)?.type ?? null,
+    redo: future.length,
+    redoType: future.at(-1)?.type ?? null,
+  };
+}
+
+// ===== AGENDA =====
+const MAX_AGENDA_ENTRIES = 100;
+const MAX_TEXT_LEN = 80;
+const MAX_SPEAKER_LEN = 80;
+const MAX_TOPIC_LEN = 120;
+const MAX_DURATION_MS = 24 * 60 * 60_000;
+
+function cleanText(v, max = MAX_TEXT_LEN) {
+  return (v ?? "").toString().replace(/\s+/g, " ").trim().slice(0, max);
+}
+
+function clampDuration(v, fallback) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(MAX_DURATION_MS, Math.max(1000, Math.round(n)));
+}
+
+function makeAgendaEntry(p) {
+  return {
+    id: crypto.randomBytes(4).toString("hex"),
+    speakerName: cleanText(p?.speakerName, MAX_SPEAKER_LEN),
+    topic: cleanText(p?.topic, MAX_TOPIC_LEN),
+    durationMs: clampDuration(p?.durationMs, 180_000),
+  };
+}
+
+/**
+ * Validate a setMetadata payload. Fields are optional (partial update) but must be strings.
+ * Returns { ok, metadata } or { ok: false, message }.
+ */
+function parseMetadata(p, current) {
+  if (!p || typeof p !== "object" || Array.isArray(p)) {
+    return { ok: false, message: "payload must be an object" };
+  }
+  for (const key of ["speakerName", "topic"]) {
+    if (p[key] !== undefined && p[key] !== null && typeof p[key] !== "string") {
+      return { ok: false, message: `${key} must be a string` };
+    }
+  }
+  return {
+    ok: true,
+    metadata: {
+      speakerName:
+        p.speakerName == null ? current?.speakerName ?? "" : cleanText(p.speakerName, MAX_SPEAKER_LEN),
+      topic: p.topic == null ? current?.topic ?? "" : cleanText(p.topic, MAX_TOPIC_LEN),
+    },
+  };
+}
+
+function upNextEntry(s) {
+  return s.agenda?.[s.agendaIndex + 1] ?? null;
+}
+
+/**
+ * Load agenda entry `index` into the timer: idle, its duration, its speaker.
+ */
+function loadAgendaEntry(s, index, at = now()) {
+  const entry = s.agenda[index];
+  if (!entry) return false;
+
+  s.agendaIndex = index;
+  s.status = "idle";
+  s.durationMs = entry.durationMs;
+  s.remainingMs = entry.durationMs;
+  s.deadlineMs = null;
+  s.elapsedMs = 0;
+  s.startedAtMs = null;
+  s.metadata = { speakerName: entry.speakerName, topic: entry.topic };
+  if (s.mode === "chess") {
+    resetClocks(s, entry.durationMs);
+    s.activeSide = "a";
+  }
+  if (s.mode === "deadline") idleDeadline(s, at); // the target, not the slot, sets the time
+  s.updatedAt = at;
+  syncLegacyFields(s, at);
+  return true;
+}
+
+/**
+ * Keep agendaIndex pointing at the same entry after the list was reordered/trimmed.
+ * If the loaded entry itself is gone, "next" should continue with whatever followed it.
+ */
+function reindexAgenda(s, loadedId, fallbackIndex) {
+  if (s.agendaIndex < 0) return;
+  const idx = s.agenda.findIndex((e) => e.id === loadedId);
+  s.agendaIndex = idx >= 0 ? idx : Math.min(fallbackIndex, s.agenda.length - 1);
+}
+
+/**
+ * Finalize immediately when elapsed
+ */
+function finalizeIfElapsed(roomId, at = now()) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  const prepDone = finalizePrepIfElapsed(room.state, at);
+  const started = startIfDue(room, at);
+  const expired = expireMessageIfDue(room.state, at);
+  return finalizeTimerIfElapsed(room, at) || started || prepDone || expired;
+}
+
+function finalizeTimerIfElapsed(room, at) {
+  const s = room.state;
+  if (s.status !== "running") return false;
+  if (s.mode === "stopwatch") return false; // nothing to run out
+
+  if (s.mode === "chess") {
+    const c = s.clocks[s.activeSide];
+    if (clockRemaining(c, at) > 0) return false;
+    const flaggedAt = Math.min(at, c.deadlineMs ?? at);
+    flagClock(c);
+    s.status = stoppedChessStatus(s);
+    recordEvent(room, "finish", { auto: true, side: s.activeSide, status: s.status }, flaggedAt);
+    mirrorActiveClock(s);
+    s.updatedAt = at;
+    syncLegacyFields(s, at);
+    return true;
+  }
+  if (s.overtime) return false; // keeps running into overtime until someone stops it
+
+  if (remainingFromAuthoritative(s, at) <= 0) {
+    // log when it actually ran out, not when we noticed
+    recordEvent(room, "finish", { auto: true }, Math.min(at, s.deadlineMs ?? at));
+    s.status = "finished";
+    s.deadlineMs = null;
+    s.remainingMs = 0;
+    s.updatedAt = at;
+    syncLegacyFields(s, at);
+    return true;
+  }
+  return false;
+}
+
+function makeSnapshotPayload(s, serverNowMs) {
+  const chess = s.mode === "chess";
+  return {
+    ...s,
+    upNext: upNextEntry(s),
+    overtimeMs: overtimeMsFor(s, serverNowMs),
+    ...(s.mode === "stopwatch" ? { elapsedMs: stopwatchElapsed(s, serverNowMs) } : {}),
+    // chess: the top-level thresholds are the active side's
+    ...(chess ? clockThresholds(s, s.clocks[s.activeSide]) : effectiveThresholds(s)),
+    ...(chess ? { clocks: chessClocksPayload(s, serverNowMs) } : {}),
+    prep: s.prep.map((b) => ({ ...b, remainingMs: prepRemaining(b, serverNowMs) })),
+    serverNow: serverNowMs,
+  };
+}
+
+function chessClocksPayload(s, serverNowMs) {
+  const out = {};
+  for (const side of CHESS_SIDES) {
+    const c = s.clocks[side];
+    out[side] = { ...c, remainingMs: clockRemaining(c, serverNowMs), ...clockThresholds(s, c) };
+  }
+  return out;
+}
+
+function buildSnapshotPayload(room) {
+  const serverNowMs = now();
+
+  // Always keep state consistent before snapshot
+  finalizeIfElapsed(room.state.roomId, serverNowMs);
+  syncLegacyFields(room.state, serverNowMs);
+
+  return { ...makeSnapshotPayload(room.state, serverNowMs), history: historySummary(room) };
+}
+
+function buildSnapshotMessage(room) {
+  return JSON.stringify({
+    type: "snapshot",
+    payload: buildSnapshotPayload(room),
+  });
+}
+
+function sendMessage(ws, type, payload) {
+  sendRaw(ws, JSON.stringify({ type, payload }));
+}
+
+function sendSnapshot(ws, roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  sendRaw(ws, buildSnapshotMessage(room));
+}
+
+function broadcast(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const msg = buildSnapshotMessage(room);
+  room.clients.forEach((ws) => sendRaw(ws, msg));
+}
+
+/**
+ * Event-driven, versioned snapshots
+ *
+ * Clients extrapolate locally from deadlineMs / startedAtMs, so there is nothing to gain
+ * from re-sending unchanged state. The server broadcasts a full snapshot only when state
+ * CHANGES (commitRoomChange, or a deadline expiring), each stamped with a monotonic
+ * state.version. In between, a slow keepalive carries just { version, serverNow }; a
+ * client whose version doesn't match missed something and sends requestSnapshot.
+ */
+const KEEPALIVE_MS = 5_000;
+
+function bumpVersion(room) {
+  room.state.version = (Number(room.state.version) || 0) + 1;
+}
+
+// Earliest moment the room changes on its own: the timer running out, a prep bank
+// running dry, a scheduled start or a message expiring. null = nothing pending.
+function nextDeadline(s) {
+  const timerFinishes =
+    s.status === "running" &&
+    s.mode !== "stopwatch" &&
+    (s.mode === "chess" || !s.overtime) &&
+    typeof s.deadlineMs === "number";
+
+  const candidates = [
+    timerFinishes ? s.deadlineMs : null,
+    runningPrepBank(s)?.deadlineMs ?? null,
+    s.startAt ?? null,
+    s.message?.expiresAt ?? null,
+  ];
+  const pending = candidates.filter((v) => typeof v === "number");
+  return pending.length ? Math.min(...pending) : null;
+}
+
+/**
+ * Rooms finish on their own: arm a timer for the next deadline instead of polling.
+ * Re-armed after every change; harmless to call repeatedly.
+ */
+function armDeadlineTimer(room) {
+  if (room._deadlineTimer) {
+    clearTimeout(room._deadlineTimer);
+    room._deadlineTimer = null;
+  }
+
+  const s = room.state;
+  const deadline = nextDeadline(s);
+  if (deadline === null) return;
+
+  const delay = Math.min(Math.max(0, deadline - now()), 2 ** 31 - 1);
+  room._deadlineTimer = setTimeout(() => {
+    room._deadlineTimer = null;
+    finalizeIfElapsed(s.roomId);
+
+    // timers can fire a hair early (same deadline still pending); a snapshot may also
+    // have finalized lazily already, which still needs announcing
+    if (nextDeadline(s) === deadline) {
+      armDeadlineTimer(room);
+      return;
+    }
+    bumpVersion(room);
+    armDeadlineTimer(room);
+    broadcast(s.roomId);
+    schedulePersist();
+  }, delay);
+}
+
+setInterval(() => {
+  const serverNow = now();
+
+  for (const [roomId, room] of rooms.entries()) {
+    if (room.clients.size === 0) continue;
+
+    const msg = JSON.stringify({
+      type: "keepalive",
+      payload: { roomId, version: room.state.version, serverNow },
+    });
+
+    room.clients.forEach((ws) => sendRaw(ws, msg));
+    sendPresence(roomId); // last-seen ages move even when nothing else does
+  }
+}, KEEPALIVE_MS);
+
+// ===== CONNECTION HEALTH =====
+// A client whose network vanished without a TCP close would sit in room.clients forever
+// (sends piling up in a dead buffer, its room never swept). ws-level pings find those,
+// and a socket that can't drain its sends is dropped before its buffer grows unbounded.
+//   WS_HEARTBEAT_MS: ping interval; no pong by the next ping -> terminated (default 15 s)
+//   WS_MAX_BUFFERED_BYTES: unsent bytes a socket may hold before it's dropped (default 1 MB)
+const HEARTBEAT_MS = envNumber("WS_HEARTBEAT_MS", 15_000);
+const MAX_BUFFERED_BYTES = envNumber("WS_MAX_BUFFERED_BYTES", 1_000_000);
+
+// Evictions since start, by reason (GET /api/diagnostics)
+const evictions = { unresponsive: 0, slowConsumer: 0 };
+
+function envNumber(name, fallback) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+// Every send goes through here, so a socket that stopped draining is caught at the next one
+function sendRaw(ws, data) {
+  if (ws.readyState !== WS_OPEN) return false;
+  if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+    evictSocket(ws, "slowConsumer");
+    return false;
+  }
+  try {
+    ws.send(data);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// terminate(), not close(): a close frame would only queue behind what's stuck. The
+// "close" event still fires, so detachFromRoom runs as usual.
+function evictSocket(ws, reason) {
+  if (ws._evicted) return;
+  ws._evicted = true;
+  evictions[reason]++;
+  console.warn(
+    `[ws] Dropped ${ws._role || "display"} in room ${ws._roomId ?? "-"}: ${reason}` +
+      (reason === "slowConsumer" ? ` (${ws.bufferedAmount} bytes buffered)` : "")
+  );
+  ws.terminate();
+}
+
+setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws._alive) {
+      evictSocket(ws, "unresponsive");
+      return;
+    }
+    ws._alive = false;
+    try {
+      ws.ping();
+    } catch {}
+  });
+}, HEARTBEAT_MS);
+
+// ===== PRESENCE =====
+// Who is connected, so the operator can tell a live projector from a dead one. Each socket
+// carries ws._client (see newClientInfo); clients fill in the details with a "hello"
+// ({ label, userAgent, audioArmed }) and timeSync probes report their measured RTT.
+// Control sockets get a "presence" list on every join/leave/hello and with each keepalive.
+const MAX_CLIENT_LABEL_LEN = 40;
+const MAX_USER_AGENT_LEN = 200;
+
+function newClientInfo(req, at = now()) {
+  return {
+    id: crypto.randomBytes(4).toString("hex"),
+    label: "",
+    userAgent: cleanText(req?.headers?.["user-agent"], MAX_USER_AGENT_LEN),
+    audioArmed: null, // unknown until the client says
+    connectedAt: at,
+    lastSeen: at,
+    rttMs: null,
+  };
+}
+
+function applyHello(info, p) {
+  if (typeof p?.label === "string") info.label = cleanText(p.label, MAX_CLIENT_LABEL_LEN);
+  if (typeof p?.userAgent === "string") info.userAgent = cleanText(p.userAgent, MAX_USER_AGENT_LEN);
+  if (typeof p?.audioArmed === "boolean") info.audioArmed = p.audioArmed;
+}
+
+function presenceList(room) {
+  return [...room.clients]
+    .filter((ws) => ws._client)
+    .map((ws) => ({ ...ws._client, role: ws._role || "display" }))
+    .sort((a, b) => a.connectedAt - b.connectedAt);
+}
+
+// Only controls see it; `you` tells each one which entry is itself
+function sendPresence(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const payload = { roomId, serverNow: now(), clients: presenceList(room) };
+  room.clients.forEach((ws) => {
+    if (ws._role === "control") sendMessage(ws, "presence", { ...payload, you: ws._client?.id ?? null });
+  });
+}
+
+function detachFromRoom(ws) {
+  const prevRoomId = ws._roomId;
+  if (!prevRoomId) return;
+
+  const prevRoom = rooms.get(prevRoomId);
+  if (prevRoom) prevRoom.clients.delete(ws);
+
+  ws._roomId = null;
+  sendPresence(prevRoomId);
+}
+
+function attachToRoom(ws, roomId) {
+  const id = normalizeRoomId(roomId);
+  const room = ensureRoom(id);
+  room.clients.add(ws);
+  ws._roomId = id;
+  return id;
+}
+
+/**
+ * Resolve the socket's role for its current room and tell it the outcome.
+ * Control clients get { role, controlToken? }; a newly claimed room includes the token ONCE.
+ */
+function applyAuth(ws, requestedRole, token, holdsControl = false) {
+  const room = rooms.get(ws._roomId);
+  if (!room) return;
+
+  const { role, issuedToken } = authorizeRole(room, requestedRole, token, holdsControl);
+  ws._requestedRole = requestedRole;
+  ws._role = role;
+  if (issuedToken) schedulePersist();
+
+  if (requestedRole === "control") {
+    sendMessage(ws, "auth", {
+      roomId: ws._roomId,
+      role,
+      ...(issuedToken ? { controlToken: issuedToken } : {}),
+    });
+  }
+  sendPresence(ws._roomId);
+}
+
+const PROGRESS_STYLES = new Set(["off", "ring", "bar"]);
+
+// ===== AUDIO CUES =====
+// The displays own the sounds (frontend/audiocues.js); the room only picks the cue set,
+// the volume and the mute, so every screen in the hall sounds the same.
+const CUE_NAMES = new Set(["yellow", "red", "zero", "overtime"]);
+// Set -> the cues it has a sound for (mirrors CUE_SETS in frontend/audiocues.js)
+const CUE_SETS = new Map([
+  ["alarm", new Set(["zero"])],
+  ["classic", CUE_NAMES],
+  ["tones", CUE_NAMES],
+]);
+
+function defaultAudio() {
+  // "alarm": alarm.mp3 at zero only, at the volume displays always used
+  return { cueSet: "alarm", volume: 0.35, muted: false };
+}
+
+// Partial update: omitted fields keep their current value
+function parseAudio(payload, current) {
+  const audio = { ...defaultAudio(), ...current };
+  if (payload?.cueSet !== undefined) {
+    if (!CUE_SETS.has(payload.cueSet)) return { ok: false, message: "cueSet must be alarm, classic or tones" };
+    audio.cueSet = payload.cueSet;
+  }
+  if (payload?.volume !== undefined) {
+    const v = Number(payload.volume);
+    if (!Number.isFinite(v) || v < 0 || v > 1) return { ok: false, message: "volume must be between 0 and 1" };
+    audio.volume = Math.round(v * 100) / 100;
+  }
+  if (payload?.muted !== undefined) {
+    if (typeof payload.muted !== "boolean") return { ok: false, message: "muted must be a boolean" };
+    audio.muted = payload.muted;
+  }
+  return { ok: true, audio };
+}
+
+// A test cue must be one the room's set can play: otherwise every display stays quiet
+// while the control page is told they played it. Returns an error message or null.
+function testCueError(room, cue) {
+  if (cue === undefined) return null;
+  if (!CUE_NAMES.has(cue)) return "unknown cue";
+  const cueSet = room?.state.audio?.cueSet ?? defaultAudio().cueSet;
+  return CUE_SETS.get(cueSet)?.has(cue) ? null : `the ${cueSet} set has no ${cue} sound`;
+}
+
+// "Test sound": every display in the room plays `cue` (or the whole set) right away.
+// Only screens whose audio was armed by a click actually make a sound.
+function sendTestSound(roomId, cue) {
+  const room = rooms.get(roomId);
+  if (!room) return { displays: 0, armed: 0 };
+
+  let displays = 0;
+  let armed = 0;
+  room.clients.forEach((ws) => {
+    if ((ws._role || "display") !== "display") return;
+    displays++;
+    if (ws._client?.audioArmed) armed++;
+    sendMessage(ws, "testSound", { cue: cue ?? null });
+  });
+  return { displays, armed };
+}
+
+// Commands that change room state (or, like testSound, act on its displays): control role / control token required
+const CONTROL_COMMANDS = new Set([
+  "start",
+  "pause",
+  "resume",
+  "reset",
+  "adjustTime",
+  "setDuration",
+  "setThresholds",
+  "setMetadata",
+  "setOvertime",
+  "setProgress",
+  "setAudio",
+  "testSound",
+  "setMode",
+  "setCues",
+  "finish",
+  "agendaAdd",
+  "agendaMove",
+  "agendaRemove",
+  "next",
+  "previous",
+  "switchSide",
+  "setSideLabel",
+  "loadFormat",
+  "prepStart",
+  "prepStop",
+  "prepAdjust",
+  "scheduleStart",
+  "cancelSchedule",
+  "setTarget",
+  "sendMessage",
+  "clearMessage",
+  "undo",
+  "redo",
+]);
+
+const OK = { ok: true, changed: true };
+const UNCHANGED = { ok: true, changed: false };
+const invalid = (message) => ({ ok: false, code: "invalid", message });
+
+// Numeric fields the timer commands read; omitted is fine (defaults apply), garbage is not
+function validateTimingPayload(type, payload) {
+  const isNum = (v) => v === undefined || v === null || Number.isFinite(Number(v));
+  const takesDuration = type === "start" || type === "reset" || type === "setDuration" || type === "scheduleStart";
+  if (takesDuration && !isNum(payload?.durationMs)) {
+    return "durationMs must be a number";
+  }
+  if ((type === "adjustTime" || type === "prepAdjust") && !isNum(payload?.deltaMs)) {
+    return "deltaMs must be a number";
+  }
+  return null;
+}
+
+/**
+ * Apply one control command to a room's state. Shared by the WS handler and the REST
+ * API so both behave identically. Auth is the CALLER's job (see CONTROL_COMMANDS).
+ *
+ * Returns { ok: true, changed } or { ok: false, code, message }.
+ * On success, call commitRoomChange() to log + finalize + broadcast + persist.
+ */
+function applyCommand(roomId, type, payload) {
+  const room = rooms.get(roomId);
+  if (!room) return { ok: false, code: "not_found", message: "room not found" };
+
+  // Finalize BEFORE applying any new command.
+  const n = now();
+  finalizeIfElapsed(roomId, n);
+
+  if (type === "undo" || type === "redo") return applyHistoryCommand(room, type, n);
+
+  const before = structuredClone(room.state);
+  const result = applyRoomCommand(room, type, payload, n);
+  if (result.ok && result.changed) recordHistory(room, type, before);
+  return result;
+}
+
+function applyRoomCommand(room, type, payload, n) {
+  const s = room.state;
+
+  const bad = validateTimingPayload(type, payload);
+  if (bad) return invalid(bad);
+
+  // prep is between speeches: the speech clock starting ends it
+  if (type === "start" || type === "resume") stopPrep(s, n);
+  // starting by hand (or resetting) supersedes a scheduled start
+  if (type === "start" || type === "reset") s.startAt = null;
+  // reset { durationMs }: a fresh round of that length in one command (so one undo step).
+  // Chess rooms refill their banks instead; deadline rooms keep their target.
+  const resetTo = type === "reset" ? payload?.durationMs : undefined;
+  if (resetTo !== undefined && resetTo !== null && (s.mode === "countdown" || s.mode === "stopwatch")) {
+    s.durationMs = Math.max(1000, Number(resetTo));
+    s.remainingMs = s.durationMs;
+  }
+
+  // Stopwatch rooms have their own start/pause/resume/reset/adjust/finish semantics
+  if (s.mode === "stopwatch" && applyStopwatchCommand(s, type, payload, n)) return OK;
+
+  // ...and so do chess-clock rooms (plus switchSide / setSideLabel)
+  if (s.mode === "chess") {
+    const result = applyChessCommand(s, type, payload, n);
+    if (result) return result;
+  }
+
+  // ...and deadline rooms (start/adjust work on the target time)
+  if (s.mode === "deadline") {
+    const result = applyDeadlineCommand(s, type, payload, n);
+    if (result) return result;
+  }
+
+  switch (type) {
+    case "start": {
+      startCountdown(s, Math.max(1000, Number(payload?.durationMs ?? s.durationMs)), n);
+      break;
+    }
+
+    case "pause": {
+      if (s.status !== "running") break;
+      const rem = signedRemaining(s, n);
+      s.status = "paused";
+      s.remainingMs = rem;
+      s.deadlineMs = null;
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "resume": {
+      if (s.status !== "paused") break;
+      const rem = signedRemaining(s, n);
+      s.status = "running";
+      s.deadlineMs = n + rem;
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "reset": {
+      s.status = "idle";
+      s.remainingMs = Math.max(0, Number(s.durationMs) || 0);
+      s.deadlineMs = null;
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "setDuration": {
+      // preserve elapsed time when changing duration while running
+      const newDur = Math.max(1000, Number(payload?.durationMs ?? s.durationMs));
+
+      // stopwatch rooms just remember it for when they switch back to countdown
+      if (s.mode === "stopwatch") {
+        s.durationMs = newDur;
+        s.remainingMs = newDur;
+        s.updatedAt = n;
         break;
       }
 
-      case "requestSnapshot": {
-        // send the requester an immediate snapshot (useful if a client wants it)
-        sendSnapshot(ws, roomId);
-        return;
+      const oldDur = Math.max(1000, Number(s.durationMs) || 180_000);
+      const currentRem = signedRemaining(s, n);
+      const elapsed = clampNonNeg(oldDur - currentRem);
+      const clampRem = (v) => (s.overtime ? v : clampNonNeg(v));
+
+      s.durationMs = newDur;
+
+      if (s.status === "running") {
+        const newRem = clampRem(newDur - elapsed);
+        s.remainingMs = newRem;
+        s.deadlineMs = n + newRem;
+      } else {
+        const clampedRem = Math.min(currentRem, newDur);
+        s.remainingMs = clampRem(clampedRem);
+        s.deadlineMs = null;
       }
 
-      default:
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "adjustTime": {
+      const delta = Number(payload?.deltaMs ?? 0);
+
+      if (s.status === "running" && typeof s.deadlineMs === "number") {
+        // overtime rooms may be pushed (further) past zero; others keep at least 1s
+        const minDeadline = s.overtime ? -Infinity : n + 1000;
+        s.deadlineMs = Math.max(minDeadline, s.deadlineMs + delta);
+
+        const newRemaining = remainingFromAuthoritative(s, n);
+        s.remainingMs = newRemaining;
+
+        if (newRemaining > s.durationMs) s.durationMs = newRemaining;
+
+        s.updatedAt = n;
+        syncLegacyFields(s, n);
+      } else {
+        const rawRem = signedRemaining(s, n) + delta;
+        let newRem = s.overtime ? rawRem : clampNonNeg(rawRem);
+        if (newRem > s.durationMs) s.durationMs = newRem;
+        s.remainingMs = newRem;
+        s.updatedAt = n;
+        s.deadlineMs = null;
+        syncLegacyFields(s, n);
+      }
+      break;
+    }
+
+    case "setThresholds": {
+      const parsed = parseThresholds(payload, s.thresholds);
+      if (!parsed.ok) return invalid(parsed.message);
+      s.thresholds = parsed.thresholds;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "setMetadata": {
+      const parsed = parseMetadata(payload, s.metadata);
+      if (!parsed.ok) return invalid(parsed.message);
+      s.metadata = parsed.metadata;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "setMode": {
+      if (!TIMER_MODES.has(payload?.mode)) return invalid("mode must be countdown, stopwatch, chess or deadline");
+      if (payload.mode === s.mode) break;
+
+      // switching modes always lands on a fresh, idle timer
+      s.mode = payload.mode;
+      s.status = "idle";
+      s.deadlineMs = null;
+      s.remainingMs = Math.max(0, Number(s.durationMs) || 0);
+      s.startedAtMs = null;
+      s.elapsedMs = 0;
+      // both sides start from the room's duration
+      resetClocks(s, Math.max(1000, Number(s.durationMs) || 0));
+      s.activeSide = "a";
+      if (s.mode === "deadline") idleDeadline(s, n);
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "setTarget": {
+      // any mode may set it up ahead of time; it only drives the timer in deadline rooms
+      const parsed = parseTarget(payload, s, n);
+      if (!parsed.ok) return invalid(parsed.message);
+      s.timeZone = parsed.timeZone;
+      s.target = { show: s.target?.show ?? true };
+      if (typeof payload?.show === "boolean") s.target.show = payload.show;
+      setTargetAt(s, parsed.atMs);
+
+      if (s.mode === "deadline" && s.status === "running") {
+        s.deadlineMs = s.target.atMs;
+        s.remainingMs = remainingFromAuthoritative(s, n);
+        s.durationMs = Math.max(s.durationMs, s.remainingMs);
+      } else if (s.mode === "deadline") {
+        idleDeadline(s, n);
+      }
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "switchSide":
+    case "setSideLabel":
+      return invalid(`${type} needs a chess-clock room (setMode "chess")`);
+
+    case "setCues": {
+      const parsed = parseCues(payload);
+      if (!parsed.ok) return invalid(parsed.message);
+      s.cues = parsed.cues;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "setOvertime": {
+      if (typeof payload?.enabled !== "boolean") return invalid("enabled must be a boolean");
+      s.overtime = payload.enabled;
+      // turning it off: a stopped timer can't stay below zero (a running one finalizes below)
+      if (!s.overtime && s.status !== "running") s.remainingMs = clampNonNeg(s.remainingMs);
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "setProgress": {
+      if (!PROGRESS_STYLES.has(payload?.style)) return invalid("style must be off, ring or bar");
+      if (payload.style === s.progress) return UNCHANGED;
+      s.progress = payload.style;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "setAudio": {
+      const parsed = parseAudio(payload, s.audio);
+      if (!parsed.ok) return invalid(parsed.message);
+      if (JSON.stringify(parsed.audio) === JSON.stringify(s.audio)) return UNCHANGED;
+      s.audio = parsed.audio;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "finish": {
+      // in overtime, freeze how far over we went so the display can keep showing it
+      const finalRem = s.overtime ? Math.min(0, signedRemaining(s, n)) : 0;
+      s.status = "finished";
+      s.deadlineMs = null;
+      s.remainingMs = finalRem;
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "agendaAdd": {
+      if (s.agenda.length >= MAX_AGENDA_ENTRIES) return invalid("agenda is full");
+      const entry = makeAgendaEntry(payload);
+      const at = Number.isInteger(payload?.index)
+        ? Math.min(Math.max(0, payload.index), s.agenda.length)
+        : s.agenda.length;
+      const loadedId = s.agenda[s.agendaIndex]?.id;
+
+      s.agenda.splice(at, 0, entry);
+      reindexAgenda(s, loadedId, s.agendaIndex);
+      s.updatedAt = n;
+      break;
+    }
+
+    case "agendaMove": {
+      const from = s.agenda.findIndex((e) => e.id === payload?.id);
+      if (from < 0) return invalid("unknown agenda entry");
+      if (!Number.isInteger(payload?.toIndex)) return invalid("toIndex must be an integer");
+      const to = Math.min(Math.max(0, payload.toIndex), s.agenda.length - 1);
+      const loadedId = s.agenda[s.agendaIndex]?.id;
+
+      const [entry] = s.agenda.splice(from, 1);
+      s.agenda.splice(to, 0, entry);
+      reindexAgenda(s, loadedId, s.agendaIndex);
+      s.updatedAt = n;
+      break;
+    }
+
+    case "agendaRemove": {
+      const idx = s.agenda.findIndex((e) => e.id === payload?.id);
+      if (idx < 0) return invalid("unknown agenda entry");
+      const loadedId = s.agenda[s.agendaIndex]?.id;
+
+      s.agenda.splice(idx, 1);
+      // removing the loaded entry: next() continues with the one that followed it
+      reindexAgenda(s, loadedId, idx - 1);
+      s.updatedAt = n;
+      break;
+    }
+
+    case "loadFormat": {
+      const resolved = resolveFormat(payload);
+      if (!resolved.ok) return invalid(resolved.message);
+      applyFormat(s, resolved.format, n);
+      break;
+    }
+
+    case "scheduleStart": {
+      if (s.status === "running") return invalid("stop the timer before scheduling a start");
+      const parsed = parseStartAt(payload, s, n);
+      if (!parsed.ok) return invalid(parsed.message);
+      if (s.mode === "deadline") {
+        if (!s.target) return invalid("set a target time first");
+        if (s.target.atMs <= parsed.startAt) return invalid("the target time is before the scheduled start");
+      }
+
+      // rescheduling just moves startAt; the round starts fresh either way
+      if (s.mode === "stopwatch") applyStopwatchCommand(s, "reset", {}, n);
+      else if (s.mode === "chess") applyChessCommand(s, "reset", {}, n);
+      else if (s.mode === "deadline") idleDeadline(s, n);
+      else {
+        if (payload?.durationMs !== undefined && payload?.durationMs !== null) {
+          s.durationMs = Math.max(1000, Number(payload.durationMs));
+        }
+        s.status = "idle";
+        s.remainingMs = s.durationMs;
+        s.deadlineMs = null;
+      }
+      s.startAt = parsed.startAt;
+      s.updatedAt = n;
+      syncLegacyFields(s, n);
+      break;
+    }
+
+    case "cancelSchedule": {
+      if (s.startAt === null) return UNCHANGED;
+      s.startAt = null;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "sendMessage": {
+      const parsed = parseMessage(payload, n);
+      if (!parsed.ok) return invalid(parsed.message);
+      s.message = parsed.message;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "clearMessage": {
+      // an id only clears that message (a late click mustn't wipe a newer one)
+      if (!s.message || (payload?.id && payload.id !== s.message.id)) return UNCHANGED;
+      s.message = null;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "prepStart": {
+      const bank = findPrepBank(s, payload?.bankId);
+      if (!bank) return invalid("unknown prep bank");
+      if (s.status === "running") return invalid("pause the speech timer before using prep time");
+      if (bank.deadlineMs !== null) return UNCHANGED;
+      if (bank.remainingMs <= 0) return invalid(`${bank.label} is used up`);
+
+      stopPrep(s, n); // one team preps at a time
+      bank.deadlineMs = n + bank.remainingMs;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "prepStop": {
+      if (!stopPrep(s, n)) return UNCHANGED;
+      s.updatedAt = n;
+      break;
+    }
+
+    case "prepAdjust": {
+      // negative = charge prep by hand, positive = give it back
+      const bank = findPrepBank(s, payload?.bankId);
+      if (!bank) return invalid("unknown prep bank");
+      const delta = Number(payload?.deltaMs ?? 0);
+
+      if (bank.deadlineMs !== null) {
+        bank.deadlineMs = Math.max(n, bank.deadlineMs + delta);
+      } else {
+        bank.remainingMs = clampNonNeg(bank.remainingMs + delta);
+        if (bank.remainingMs > bank.durationMs) bank.durationMs = bank.remainingMs;
+      }
+      s.updatedAt = n;
+      break;
+    }
+
+    case "next": {
+      if (!loadAgendaEntry(s, s.agendaIndex + 1, n)) return UNCHANGED;
+      break;
+    }
+
+    case "previous": {
+      if (!loadAgendaEntry(s, Math.max(0, s.agendaIndex - 1), n)) return UNCHANGED;
+      break;
+    }
+
+    default:
+      return { ok: false, code: "unknown", message: `unknown command: ${type}` };
+  }
+
+  return OK;
+}
+
+function commitRoomChange(roomId, type, payload) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  if (type) recordEvent(room, type, eventDetail(room.state, type, payload));
+
+  // Edge safety: finalize + broadcast now (immediate)
+  finalizeIfElapsed(roomId);
+  bumpVersion(room);
+  armDeadlineTimer(room);
+  broadcast(roomId);
+  schedulePersist();
+}
+
+wss.on("connection", (ws, req) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  // Initial bind from URL (token is optional here; clients normally present it on "join")
+  const initialRoomId = normalizeRoomId(url.searchParams.get("room"));
+  const initialRole = normalizeRole(url.searchParams.get("role"));
+
+  ws._client = newClientInfo(req);
+  ws._alive = true; // see CONNECTION HEALTH
+  ws.on("pong", () => {
+    ws._alive = true;
+  });
+  attachToRoom(ws, initialRoomId);
+  applyAuth(ws, initialRole, url.searchParams.get("token"));
+
+  // Send initial snapshot immediately
+  sendSnapshot(ws, ws._roomId);
+
+  ws.on("message", (data) => {
+    const receivedAt = now();
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    const { type, payload } = msg || {};
+    ws._client.lastSeen = receivedAt;
+
+    // NTP-style clock sync probe (any role; see frontend/timesync.js):
+    // echo the client's t0 with our receive (t1) and send (t2) times
+    if (type === "timeSync") {
+      if (typeof payload?.t0 !== "number") return;
+      sendMessage(ws, "timeSync", { id: payload.id, t0: payload.t0, t1: receivedAt, t2: now() });
+      // the probe carries the client's current RTT estimate (see PRESENCE)
+      if (Number.isFinite(payload.rttMs)) ws._client.rttMs = Math.max(0, Math.round(payload.rttMs));
+      return;
+    }
+
+    // Client details for the presence list (any role)
+    if (type === "hello") {
+      applyHello(ws._client, payload);
+      if (ws._roomId) sendPresence(ws._roomId);
+      return;
+    }
+
+    // Allow dynamic room switching / leaving (fix for stale subscriptions)
+    if (type === "join") {
+      const nextRoomId = normalizeRoomId(payload?.roomId);
+      const nextRole = normalizeRole(payload?.role ?? ws._requestedRole);
+
+      const prevRoomId = ws._roomId;
+      // A socket that claimed the room on connect is told its token in the same breath;
+      // its join can be on the wire before that arrives (no token yet), so keep control.
+      const holdsControl = prevRoomId === nextRoomId && ws._role === "control";
+      if (prevRoomId !== nextRoomId) {
+        detachFromRoom(ws);
+        attachToRoom(ws, nextRoomId);
+      }
+
+      applyAuth(ws, nextRole, payload?.token, holdsControl);
+      sendSnapshot(ws, ws._roomId);
+      return;
+    }
+
+    if (type === "leave") {
+      detachFromRoom(ws);
+      return;
+    }
+
+    // From here on, all actions apply to the socket's CURRENT room
+    const roomId = ws._roomId;
+    if (!roomId) return;
+
+    if (!rooms.has(roomId)) return;
+
+    const role = ws._role || "display";
+
+    const mutating = CONTROL_COMMANDS.has(type);
+
+    if (mutating && role !== "control") {
+      sendMessage(ws, "error", {
+        code: "forbidden",
+        message: "This socket does not hold the room's control token.",
+        command: type,
+      });
+      return;
+    }
+
+    if (type === "requestSnapshot") {
+      // send the requester an immediate snapshot (useful if a client wants it)
+      sendSnapshot(ws, roomId);
+      return;
+    }
+
+    // No state change (nothing to log, version or undo): tell the displays and report back
+    if (type === "testSound") {
+      const cue = payload?.cue ?? undefined;
+      const cueError = testCueError(rooms.get(roomId), cue);
+      if (cueError) {
+        sendMessage(ws, "error", { code: "invalid", message: cueError, command: type });
         return;
+      }
+      sendMessage(ws, "testSound", { roomId, ...sendTestSound(roomId, cue) });
+      return;
     }
 
-    // Edge safety: finalize + broadcast now (immediate, not waiting for tick)
-    finalizeIfElapsed(roomId);
-    broadcast(roomId);
+    const result = applyCommand(roomId, type, payload);
+    if (!result.ok) {
+      sendMessage(ws, "error", { code: result.code, message: result.message, command: type });
+      return;
+    }
+    if (result.changed) commitRoomChange(roomId, type, payload);
   });
 
   ws.on("close", () => {
@@ -462,6 +2113,50 @@ wss.on("connection", (ws, req) => {
   });
 });
 
+// ---- Session log ----
+// Every accepted command lands here (plus countdowns running out by themselves), so
+// report.js can work out afterwards who spoke how long. Kept off room.state: it isn't
+// part of any snapshot, only of the persisted record and GET /api/rooms/:id/report.
+const MAX_LOG_EVENTS = 2000;
+
+function recordEvent(room, type, detail = {}, at = now()) {
+  room.log.push({ at, type, ...detail });
+  if (room.log.length > MAX_LOG_EVENTS) room.log.splice(0, room.log.length - MAX_LOG_EVENTS);
+}
+
+// What the report needs to know about a command, read AFTER it was applied
+function eventDetail(s, type, payload) {
+  const chess = s.mode === "chess";
+  if (type === "start") {
+    let plannedMs = s.durationMs;
+    if (s.mode === "stopwatch") plannedMs = s.cues?.redAtMs ?? null;
+    if (chess) plannedMs = s.clocks.a.durationMs + s.clocks.b.durationMs;
+    return {
+      mode: s.mode,
+      plannedMs,
+      speakerName: s.metadata?.speakerName || "",
+      topic: s.metadata?.topic || "",
+      agendaIndex: s.agendaIndex,
+    };
+  }
+  if (type === "adjustTime") {
+    const deltaMs = Number(payload?.deltaMs) || 0;
+    if (chess) return { deltaMs, side: payload?.side || s.activeSide };
+    return s.mode === "stopwatch"
+      ? { deltaMs, elapsedMs: stopwatchElapsed(s) }
+      : { deltaMs, remainingMs: signedRemaining(s, now()) };
+  }
+  if (type === "loadFormat") return { formatId: s.format?.id ?? null };
+  if (type === "scheduleStart") return { startAt: s.startAt };
+  if (type === "undo" || type === "redo") return { mode: s.mode, status: s.status };
+  if (type === "sendMessage") return { text: s.message?.text ?? "", priority: s.message?.priority ?? null };
+  if (type === "setTarget") return { targetAt: s.target?.atMs ?? null, timeZone: s.timeZone };
+  if (type.startsWith("prep")) return { bankId: payload?.bankId ?? null };
+  // a side running out / handing over only pauses or resumes the round as a whole
+  if (chess && (type === "switchSide" || type === "finish")) return { side: s.activeSide, status: s.status };
+  return {};
+}
+
 // ---- Cleanup inactive rooms ----
 // Rooms are kept for 4 hours after last update if no clients are connected.
 const ROOM_TTL_MS = 4 * 60 * 60_000; // 4 hours
@@ -469,13 +2164,91 @@ const SWEEP_INTERVAL_MS = 5 * 60_000;
 
 setInterval(() => {
   const nowMs = Date.now();
+  let removed = false;
   for (const [roomId, room] of rooms.entries()) {
     if (room.clients.size === 0 && nowMs - room.state.updatedAt > ROOM_TTL_MS) {
+      clearTimeout(room._deadlineTimer);
       rooms.delete(roomId);
+      removed = true;
     }
   }
+  if (removed) schedulePersist();
 }, SWEEP_INTERVAL_MS);
 
+// ---- Persistence ----
+// Room state is written to a pluggable store (see persistence.js) shortly after every
+// accepted change, and restored on boot. Running timers resume against their ORIGINAL
+// deadlineMs, so a restart mid-talk loses no time (and a talk that ended while we were
+// down comes back as finished).
+const store = createStoreFromEnv();
+const PERSIST_DEBOUNCE_MS = 250;
+let persistTimer = null;
+
+function serializeRoom(room) {
+  return { state: { ...room.state }, controlToken: room.controlToken, log: room.log };
+}
+
+function serializeAllRooms() {
+  return [...rooms.values()].map(serializeRoom);
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    store.save(serializeAllRooms()).catch((err) => {
+      console.warn("[persist] Save failed:", err?.message || err);
+    });
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+function flushPersist() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  try {
+    store.saveSync(serializeAllRooms());
+  } catch (err) {
+    console.warn("[persist] Final save failed:", err?.message || err);
+  }
+}
+
+function restoreRooms() {
+  const nowMs = now();
+  let restored = 0;
+
+  for (const record of store.load()) {
+    const saved = record?.state;
+    if (!saved || typeof saved !== "object") continue;
+
+    const roomId = normalizeRoomId(saved.roomId);
+    const updatedAt = Number(saved.updatedAt) || 0;
+    if (nowMs - updatedAt > ROOM_TTL_MS) continue; // would be swept anyway
+
+    const room = ensureRoom(roomId);
+    Object.assign(room.state, saved, { roomId, updatedAt });
+    room.controlToken = typeof record.controlToken === "string" ? record.controlToken : null;
+    room.log = Array.isArray(record.log) ? record.log.slice(-MAX_LOG_EVENTS) : [];
+
+    finalizeIfElapsed(roomId, nowMs);
+    syncLegacyFields(room.state, nowMs);
+    armDeadlineTimer(room);
+    restored++;
+  }
+
+  if (restored) console.log(`[persist] Restored ${restored} room(s) from ${store.file || store.kind}`);
+}
+
+restoreRooms();
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    flushPersist();
+    process.exit(0);
+  });
+}
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Speaker Timer running on http://localhost:${PORT}`);
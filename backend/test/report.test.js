@@ -0,0 +1,56 @@
+// Session report replay (report.js) over hand-written event logs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRuns } from "../report.js";
+
+const start = (at, plannedMs = 60_000) => ({ at, type: "start", mode: "countdown", plannedMs });
+
+test("undoing a pause puts the run back to running", () => {
+  const [run] = buildRuns(
+    [start(0), { at: 1000, type: "pause" }, { at: 3000, type: "undo", mode: "countdown", status: "running" }],
+    10_000
+  );
+  assert.equal(run.endedBy, null);
+  assert.equal(run.actualMs, 1000 + 7000);
+  assert.equal(run.pausedMs, 2000);
+});
+
+test("redoing an undone pause pauses the run again", () => {
+  const [run] = buildRuns(
+    [
+      start(0),
+      { at: 1000, type: "pause" },
+      { at: 2000, type: "undo", mode: "countdown", status: "running" },
+      { at: 4000, type: "redo", mode: "countdown", status: "paused" },
+    ],
+    5000
+  );
+  assert.equal(run.actualMs, 1000 + 2000);
+  assert.equal(run.pausedMs, 1000 + 1000);
+});
+
+test("undoing a reset reopens the run it ended", () => {
+  const runs = buildRuns(
+    [start(0), { at: 2000, type: "reset" }, { at: 3000, type: "undo", mode: "countdown", status: "running" }],
+    6000
+  );
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].run, 1);
+  assert.equal(runs[0].endedBy, null);
+  assert.equal(runs[0].actualMs, 2000 + 3000);
+  assert.equal(runs[0].plannedMs, 60_000);
+});
+
+test("undoing a start ends the run, and a new start opens the next one", () => {
+  const runs = buildRuns(
+    [start(0), { at: 1000, type: "undo", mode: "countdown", status: "idle" }, start(2000)],
+    3000
+  );
+  assert.deepEqual(
+    runs.map((r) => [r.run, r.endedBy, r.actualMs]),
+    [
+      [1, "undo", 1000],
+      [2, null, 1000],
+    ]
+  );
+});
@@ -0,0 +1,118 @@
+// Undo / redo against a real server (memory store), through the REST API
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const BASE = `http://localhost:${PORT}`;
+let server;
+
+before(async () => {
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: fileURLToPath(new URL("..", import.meta.url)),
+    env: { ...process.env, PORT: String(PORT), ROOM_STORE: "memory" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    server.once("exit", (code) => reject(new Error(`server exited (${code})`)));
+    server.stdout.on("data", (d) => String(d).includes("running on") && resolve());
+  });
+});
+
+after(() => server?.kill());
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function createRoom() {
+  const res = await fetch(`${BASE}/api/rooms`, { method: "POST" });
+  return res.json();
+}
+
+async function act({ roomId, controlToken }, action, body = {}) {
+  const res = await fetch(`${BASE}/api/rooms/${roomId}/${action}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", authorization: `Bearer ${controlToken}` },
+    body: JSON.stringify(body),
+  });
+  const json = await res.json();
+  assert.equal(json.ok, true, `${action}: ${json.error?.message}`);
+  return json.snapshot;
+}
+
+// time left as of the snapshot
+function remaining(snap) {
+  return snap.status === "running" ? snap.deadlineMs - snap.serverNow : snap.remainingMs;
+}
+
+test("undoing a pause resumes from the paused time, not the old deadline", async () => {
+  const room = await createRoom();
+  await act(room, "start", { durationMs: 2000 });
+  await sleep(200);
+  const paused = await act(room, "pause");
+  // paused past the original deadline
+  await sleep(2300);
+
+  const snap = await act(room, "undo");
+  assert.equal(snap.status, "running");
+  assert.ok(Math.abs(remaining(snap) - paused.remainingMs) < 150, `remaining ${remaining(snap)}`);
+});
+
+test("undoing an adjustment keeps the clock running on its original deadline", async () => {
+  const room = await createRoom();
+  const started = await act(room, "start", { durationMs: 60_000 });
+  await act(room, "adjust", { deltaMs: -30_000 });
+  await sleep(300);
+
+  const snap = await act(room, "undo");
+  assert.equal(snap.status, "running");
+  assert.equal(snap.deadlineMs, started.deadlineMs);
+});
+
+test("undoing a start puts the timer back to idle with its full duration", async () => {
+  const room = await createRoom();
+  await act(room, "duration", { durationMs: 45_000 });
+  await act(room, "start");
+  await sleep(200);
+
+  const snap = await act(room, "undo");
+  assert.equal(snap.status, "idle");
+  assert.equal(snap.remainingMs, 45_000);
+  assert.equal(snap.history.redoType, "start");
+});
+
+test("one undo after Reset (with the control page's durationMs) restores the running deadline", async () => {
+  const room = await createRoom();
+  const started = await act(room, "start", { durationMs: 60_000 });
+  await sleep(200);
+  const reset = await act(room, "reset", { durationMs: 90_000 });
+  assert.equal(reset.status, "idle");
+  assert.equal(reset.remainingMs, 90_000);
+
+  const snap = await act(room, "undo");
+  assert.equal(snap.status, "running");
+  assert.equal(snap.deadlineMs, started.deadlineMs);
+  assert.equal(snap.durationMs, 60_000);
+});
+
+test("the report follows undo and redo", async () => {
+  const room = await createRoom();
+  await act(room, "start", { durationMs: 60_000 });
+  await sleep(200);
+  await act(room, "pause");
+  await sleep(300);
+  await act(room, "undo"); // running again
+  await sleep(200);
+  await act(room, "reset");
+  await act(room, "undo"); // the reset run comes back
+  await sleep(200);
+
+  const res = await fetch(`${BASE}/api/rooms/${room.roomId}/report`, {
+    headers: { authorization: `Bearer ${room.controlToken}` },
+  });
+  const { runs } = await res.json();
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].endedBy, null);
+  assert.ok(runs[0].actualMs >= 550, `actualMs ${runs[0].actualMs}`);
+  assert.ok(runs[0].pausedMs >= 250 && runs[0].pausedMs < 450, `pausedMs ${runs[0].pausedMs}`);
+});
@@ -0,0 +1,94 @@
+/**
+ * Wall-clock times in a venue's time zone, for deadline rooms ("end at 11:45").
+ *
+ * The server may run in UTC while the venue is in Europe/Berlin, so "11:45" has to be
+ * resolved in the venue's IANA zone, not the process's. Only Intl is used (no tz data
+ * of our own); times that fall into a DST gap resolve an hour later, like most clocks.
+ */
+
+export const DEFAULT_TIME_ZONE =
+  process.env.VENUE_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const partsFormatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return partsFormatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone || timeZone.length > 64) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// { year, month, day, hour, minute, second } of epoch `ms` as seen in `timeZone`
+function zonedParts(ms, timeZone) {
+  const out = {};
+  for (const p of partsFormatter(timeZone).formatToParts(ms)) {
+    if (p.type !== "literal") out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+// How far the zone's wall clock is ahead of UTC at `ms`
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+function zonedToEpoch({ year, month, day, hour, minute, second }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const candidate = guess - offsetAt(guess, timeZone);
+  // the offset may differ on the other side of a DST change
+  const corrected = guess - offsetAt(candidate, timeZone);
+  return Math.max(candidate, corrected);
+}
+
+/** "HH:MM" / "HH:MM:SS" (24h) -> { hour, minute, second }, or null */
+export function parseWallTime(str) {
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(str ?? "").trim());
+  if (!m) return null;
+  const [hour, minute, second] = [Number(m[1]), Number(m[2]), Number(m[3] ?? 0)];
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return { hour, minute, second };
+}
+
+/** Epoch ms of the next time the venue's clock reads `time` (after `at`) */
+export function nextWallTime(time, timeZone, at = Date.now()) {
+  const today = zonedParts(at, timeZone);
+  let ms = zonedToEpoch({ ...today, ...time }, timeZone);
+  if (ms <= at) {
+    const tomorrow = new Date(Date.UTC(today.year, today.month - 1, today.day + 1));
+    ms = zonedToEpoch(
+      { year: tomorrow.getUTCFullYear(), month: tomorrow.getUTCMonth() + 1, day: tomorrow.getUTCDate(), ...time },
+      timeZone
+    );
+  }
+  return ms;
+}
+
+/** "HH:MM:SS" of epoch `ms` on the venue's clock */
+export function formatWallTime(ms, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  return [p.hour, p.minute, p.second].map((v) => String(v).padStart(2, "0")).join(":");
+}
@@ -0,0 +1,291 @@
+// audiocues.js (display sound cues: one Web Audio graph for sample files and synthesized tones)
+//
+// A cue is a moment on the timer ("yellow", "red", "zero", "overtime"); a cue SET maps each
+// cue to a sound. The room picks the set, volume and mute (server `audio`); the display
+// decides when a cue happens. Browsers only allow sound after a user gesture, so nothing
+// plays until arm() was called from one.
+//
+// Timer cues are not played from the render loop: sync() hands the player the moments
+// ahead on the SERVER clock and they are scheduled on the AudioContext clock, so every
+// display in a hall fires within a few ms of the others (and a backgrounded tab, whose
+// rAF is throttled, still fires on time).
+
+// Tones: [freq Hz, start ms, length ms, waveform]
+const SOUNDS = {
+  alarm: { file: "/audio/alarm.mp3", maxMs: 2500 },
+  chime: { tones: [[880, 0, 220, "sine"], [1320, 200, 420, "sine"]] },
+  doubleChime: { tones: [[988, 0, 180, "sine"], [988, 260, 180, "sine"], [1480, 520, 420, "sine"]] },
+  beep: { tones: [[1000, 0, 160, "square"]] },
+  buzzer: {
+    tones: [0, 400, 800, 1200, 1600, 2000].map((at) => [740, at, 260, "sawtooth"]),
+  },
+  pips: { tones: [[660, 0, 120, "triangle"], [660, 180, 120, "triangle"]] },
+};
+
+/** Cue set -> { cue: sound }; overtimeEveryMs repeats the overtime cue while over */
+export const CUE_SETS = {
+  alarm: { label: "Alarm at zero only", cues: { zero: "alarm" } },
+  classic: {
+    label: "Chimes + alarm",
+    cues: { yellow: "chime", red: "doubleChime", zero: "alarm", overtime: "pips" },
+    overtimeEveryMs: 60_000,
+  },
+  tones: {
+    label: "Tones only",
+    cues: { yellow: "beep", red: "doubleChime", zero: "buzzer", overtime: "pips" },
+    overtimeEveryMs: 60_000,
+  },
+};
+
+const CUE_ORDER = ["yellow", "red", "zero", "overtime"];
+const PREVIEW_GAP_MS = 900;
+// Synth tones are much denser than the recorded alarm; keep them in the same ballpark
+const TONE_GAIN = 0.5;
+
+// A cue this late when first seen was missed (connected or armed mid-run): stay quiet
+const LATE_MS = 1000;
+// A cue this close is left to play when it drops out of the plan: the "finished"
+// snapshot reaches us a little after the deadline
+const CANCEL_MARGIN_MS = 100;
+// Reschedule a pending cue when a better clock estimate moves it by more than this
+const RESYNC_DRIFT_S = 0.004;
+
+export function createCuePlayer({ onArmed } = {}) {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  let ctx = null;
+  let master = null;
+  let armed = false;
+  let settings = { cueSet: "alarm", volume: 0.35, muted: false };
+  const buffers = new Map(); // file url -> AudioBuffer (or a pending Promise)
+  const playing = new Set(); // sources still sounding, so stop() can cut them
+  const scheduled = new Map(); // plan id -> { at (server ms), when (context s), nodes }
+
+  function ensureContext() {
+    if (ctx || !AudioCtx) return ctx;
+    ctx = new AudioCtx();
+    master = ctx.createGain();
+    master.gain.value = settings.muted ? 0 : settings.volume;
+    master.connect(ctx.destination);
+    return ctx;
+  }
+
+  function loadFile(url) {
+    if (buffers.has(url) || !ensureContext()) return;
+    const pending = fetch(url)
+      .then((res) => (res.ok ? res.arrayBuffer() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => ctx.decodeAudioData(data))
+      .then((buffer) => buffers.set(url, buffer))
+      .catch((err) => {
+        buffers.delete(url);
+        console.warn("[audio] Could not load", url, err?.message || err);
+      });
+    buffers.set(url, pending);
+  }
+
+  // Decode every file the current set uses, so the first cue doesn't wait on the network
+  function preload() {
+    for (const name of Object.values(CUE_SETS[settings.cueSet]?.cues || {})) {
+      if (SOUNDS[name]?.file) loadFile(SOUNDS[name].file);
+    }
+  }
+
+  function track(node, stopAt) {
+    playing.add(node);
+    node.onended = () => playing.delete(node);
+    node.stop(stopAt);
+    return node;
+  }
+
+  // Sources are returned so a scheduled cue can be called off before it sounds
+  function playTones(tones, when) {
+    return tones.map(([freq, atMs, lenMs, type]) => {
+      const start = when + atMs / 1000;
+      const end = start + lenMs / 1000;
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      osc.type = type;
+      osc.frequency.value = freq;
+      // short attack/release: no clicks at the edges
+      env.gain.setValueAtTime(0, start);
+      env.gain.linearRampToValueAtTime(TONE_GAIN, start + 0.01);
+      env.gain.setValueAtTime(TONE_GAIN, Math.max(start + 0.01, end - 0.04));
+      env.gain.linearRampToValueAtTime(0, end);
+      osc.connect(env).connect(master);
+      osc.start(start);
+      return track(osc, end);
+    });
+  }
+
+  function playSound(name, when) {
+    const sound = SOUNDS[name];
+    if (!sound) return [];
+    if (sound.file) {
+      const buffer = buffers.get(sound.file);
+      // not decoded (yet, or the file is missing): a synthesized stand-in beats silence
+      if (!(buffer instanceof AudioBuffer)) {
+        loadFile(sound.file);
+        return playTones(SOUNDS.buzzer.tones, when);
+      }
+      const src = ctx.createBufferSource();
+      src.buffer = buffer;
+      src.connect(master);
+      src.start(when);
+      return [track(src, when + Math.min(buffer.duration, sound.maxMs / 1000))];
+    }
+    return playTones(sound.tones, when);
+  }
+
+  function cueSound(cue) {
+    return CUE_SETS[settings.cueSet]?.cues[cue] ?? null;
+  }
+
+  // Context time at which a sound is HEARD `delayMs` from now. getOutputTimestamp pairs
+  // the context clock with performance.now() at the speaker, so output latency is included.
+  function contextTimeIn(delayMs) {
+    const ts = ctx.getOutputTimestamp?.();
+    let when;
+    if (ts?.performanceTime > 0) when = ts.contextTime + (performance.now() + delayMs - ts.performanceTime) / 1000;
+    else when = ctx.currentTime + delayMs / 1000 - (ctx.outputLatency || ctx.baseLatency || 0);
+    return Math.max(ctx.currentTime, when);
+  }
+
+  function schedule(entry, when) {
+    const name = cueSound(entry.cue);
+    scheduled.set(entry.id, { at: entry.at, when, nodes: name ? playSound(name, when) : [] });
+  }
+
+  function cancel(e) {
+    for (const node of e.nodes) {
+      try {
+        node.stop();
+      } catch {}
+      playing.delete(node);
+    }
+  }
+
+  return {
+    get armed() {
+      return armed;
+    },
+
+    /** Call from a user gesture (click / key); resolves once sound is allowed */
+    arm() {
+      if (armed || !ensureContext()) return;
+      preload();
+      ctx
+        .resume()
+        .then(() => {
+          if (armed) return;
+          armed = true;
+          onArmed?.();
+        })
+        .catch(() => {});
+    },
+
+    /** Room settings from the snapshot: { cueSet, volume, muted } */
+    configure(audio) {
+      if (!audio || typeof audio !== "object") return;
+      const prev = settings;
+      settings = {
+        cueSet: CUE_SETS[audio.cueSet] ? audio.cueSet : settings.cueSet,
+        volume: Number.isFinite(audio.volume) ? Math.min(1, Math.max(0, audio.volume)) : settings.volume,
+        muted: audio.muted === true,
+      };
+      if (master) master.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, ctx.currentTime, 0.02);
+      // pending cues hold the old set's sounds: drop them, the next sync() reschedules
+      if (settings.muted || settings.cueSet !== prev.cueSet) this.stop();
+      if (ctx) preload();
+    },
+
+    /** How often the current set repeats its overtime cue (null = it doesn't) */
+    overtimeEveryMs() {
+      const set = CUE_SETS[settings.cueSet];
+      return set?.cues.overtime ? set.overtimeEveryMs ?? null : null;
+    },
+
+    /** Play `cue` of the room's set now; false if it made no sound */
+    play(cue) {
+      if (!armed || settings.muted) return false;
+      const name = cueSound(cue);
+      if (!name) return false;
+      playSound(name, ctx.currentTime);
+      return true;
+    },
+
+    /**
+     * Keep exactly the cues in `plan` scheduled: [{ id, cue, at }], `at` on the server
+     * clock, `serverNow` its current estimate. Call on every change and every so often:
+     * unchanged entries are kept (and follow clock corrections until they sound).
+     * - a cue that already sounded isn't repeated unless its moment moves into the future
+     * - a pending cue whose moment moves into the past (time taken off) sounds right away
+     * - one first seen more than LATE_MS late is treated as missed
+     */
+    sync(plan, serverNow) {
+      if (!armed || settings.muted) return;
+
+      const ids = new Set(plan.map((p) => p.id));
+      for (const [id, e] of scheduled) {
+        if (ids.has(id)) continue;
+        if (e.at - serverNow > CANCEL_MARGIN_MS) cancel(e);
+        scheduled.delete(id);
+      }
+
+      let late = null;
+      for (const p of [...plan].sort((a, b) => a.at - b.at)) {
+        const e = scheduled.get(p.id);
+        const delayMs = p.at - serverNow;
+        const pending = e ? e.when > ctx.currentTime : null;
+
+        if (e && e.at === p.at) {
+          if (pending && delayMs > 0) {
+            const when = contextTimeIn(delayMs);
+            if (Math.abs(when - e.when) > RESYNC_DRIFT_S) {
+              cancel(e);
+              schedule(p, when);
+            }
+          }
+          continue;
+        }
+
+        if (e) cancel(e);
+        if (delayMs > 0) {
+          schedule(p, contextTimeIn(delayMs));
+        } else if (pending || (!e && delayMs >= -LATE_MS)) {
+          late = p;
+          scheduled.set(p.id, { at: p.at, when: ctx.currentTime, nodes: [] });
+        } else {
+          scheduled.set(p.id, { at: p.at, when: -Infinity, nodes: [] });
+        }
+      }
+      // several passed at once (e.g. −30s jumped over yellow into red): only the latest is worth hearing
+      if (late) schedule(late, ctx.currentTime);
+    },
+
+    /** Every cue of the set, one after another ("test sound") */
+    preview() {
+      if (!armed || settings.muted) return false;
+      const cues = CUE_SETS[settings.cueSet]?.cues || {};
+      let at = ctx.currentTime;
+      for (const cue of CUE_ORDER) {
+        const name = cues[cue];
+        if (!name) continue;
+        playSound(name, at);
+        const sound = SOUNDS[name];
+        const lenMs = sound.file ? sound.maxMs : Math.max(...sound.tones.map(([, a, l]) => a + l));
+        at += (lenMs + PREVIEW_GAP_MS) / 1000;
+      }
+      return true;
+    },
+
+    /** Silence everything, playing or scheduled */
+    stop() {
+      for (const node of playing) {
+        try {
+          node.stop();
+        } catch {}
+      }
+      playing.clear();
+      scheduled.clear();
+    },
+  };
+}
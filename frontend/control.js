@@ -1,5 +1,9 @@
 // control.js (authority-driven; adjustable default 3:00; reset restores default; free pre-start adjust)
 
+import { createReconnectingSocket } from "./reconnect.js";
+import { createShortcuts, keyLabel, normalizeKey } from "./shortcuts.js";
+import { createTimeSync, mountDebugOverlay } from "./timesync.js";
+
 const qs = new URLSearchParams(location.search);
 
 // ===== DEFAULT DURATION (3:00) =====
@@ -9,12 +13,98 @@ const DEFAULT_DURATION_MS = 180_000;
 const roomInput   = document.getElementById("room");
 const joinBtn     = document.getElementById("join");
 const openDisplay = document.getElementById("openDisplay");
+const downloadReport = document.getElementById("downloadReport");
 const statusEl    = document.getElementById("status");
 const preview     = document.getElementById("preview");
 const startBtn    = document.getElementById("start");
 const pauseBtn    = document.getElementById("pause");
 const resetBtn    = document.getElementById("reset");
+const undoBtn     = document.getElementById("undo");
+const redoBtn     = document.getElementById("redo");
 const copyBtn     = document.getElementById("copyLink");
+const readOnlyHint = document.getElementById("readOnlyHint");
+const overtimeToggle = document.getElementById("overtimeToggle");
+const overtimeRow   = document.getElementById("overtimeRow");
+const modeSelect    = document.getElementById("modeSelect");
+const progressSelect = document.getElementById("progressSelect");
+const cueSetSelect = document.getElementById("cueSetSelect");
+const audioVolume = document.getElementById("audioVolume");
+const audioMute = document.getElementById("audioMute");
+const testSoundBtn = document.getElementById("testSound");
+const audioHint = document.getElementById("audioHint");
+
+// Presence (room panel)
+const presenceList  = document.getElementById("presenceList");
+
+// Chess clock
+const switchSideBtn = document.getElementById("switchSide");
+const chessLine     = document.getElementById("chessLine");
+const sideLabelForm = document.getElementById("sideLabelForm");
+const sideLabelA    = document.getElementById("sideLabelA");
+const sideLabelB    = document.getElementById("sideLabelB");
+
+// Deadline mode (count down to a time of day)
+const targetForm     = document.getElementById("targetForm");
+const targetTime     = document.getElementById("targetTime");
+const targetZone     = document.getElementById("targetZone");
+const targetZones    = document.getElementById("targetZones");
+const targetShow     = document.getElementById("targetShow");
+const targetHint     = document.getElementById("targetHint");
+
+// Scheduled start
+const scheduleForm   = document.getElementById("scheduleForm");
+const scheduleTime   = document.getElementById("scheduleTime");
+const scheduleCancel = document.getElementById("scheduleCancel");
+const scheduleHint   = document.getElementById("scheduleHint");
+
+// Speaker metadata
+const metaForm  = document.getElementById("metaForm");
+const metaName  = document.getElementById("metaName");
+const metaTopic = document.getElementById("metaTopic");
+const metaClear = document.getElementById("metaClear");
+
+// Operator messages
+const messagePalette  = document.getElementById("messagePalette");
+const messageForm     = document.getElementById("messageForm");
+const messageText     = document.getElementById("messageText");
+const messagePriority = document.getElementById("messagePriority");
+const messageDuration = document.getElementById("messageDuration");
+const messageClear    = document.getElementById("messageClear");
+const messageNow      = document.getElementById("messageNow");
+
+// Warning thresholds
+const thresholdForm = document.getElementById("thresholdForm");
+const thresholdMode = document.getElementById("thresholdMode");
+const thresholdSide = document.getElementById("thresholdSide");
+const yellowAtInput = document.getElementById("yellowAt");
+const redAtInput    = document.getElementById("redAt");
+const thresholdHint = document.getElementById("thresholdHint");
+
+// Format templates + prep banks
+const formatForm    = document.getElementById("formatForm");
+const formatSelect  = document.getElementById("formatSelect");
+const formatFileBtn = document.getElementById("formatFileBtn");
+const formatFile    = document.getElementById("formatFile");
+const formatNow     = document.getElementById("formatNow");
+const prepList      = document.getElementById("prepList");
+
+// Agenda
+const agendaList     = document.getElementById("agendaList");
+const agendaNow      = document.getElementById("agendaNow");
+const agendaUpNext   = document.getElementById("agendaUpNext");
+const agendaForm     = document.getElementById("agendaForm");
+const agendaName     = document.getElementById("agendaName");
+const agendaTopic    = document.getElementById("agendaTopic");
+const agendaDuration = document.getElementById("agendaDuration");
+const agendaPrevBtn  = document.getElementById("agendaPrev");
+const agendaNextBtn  = document.getElementById("agendaNext");
+
+// Help modal + shortcut settings
+const helpModal     = document.getElementById("helpModal");
+const helpBackdrop  = document.getElementById("helpBackdrop");
+const helpLink      = document.getElementById("helpLink");
+const shortcutTable = document.getElementById("shortcutTable");
+const shortcutReset = document.getElementById("shortcutReset");
 
 // Time controls disabled
 const timeInput   = document.getElementById("timeInput");
@@ -28,60 +118,145 @@ const presets = {
   preset600: 600_000
 };
 
-let ws;
+// The room socket (one per page, reconnects by itself; see reconnect.js)
+let socket = null;
 
-// Track the *currently intended* room + socket identity (prevents reconnect to old room)
+// The *currently intended* room (a reconnect joins this one, not the socket's first)
 let currentRoom = "DEMO";
-let wsToken = 0; // increments each time we create a brand-new socket
 
-// Reconnect guard (prevents stacking reconnect timers)
-let reconnectTimer = null;
+// Clock sync (RTT + offset vs. server): project deadlines from the server's "now", not ours
+const timeSync = createTimeSync({
+  send: (msg) => {
+    socket?.send(msg);
+  },
+});
+const MAX_SNAPSHOT_AGE_MS = 10_000;
 
-// Track rooms we've already "default-pushed" to avoid clobbering existing running rooms
-const initializedRooms = new Set();
+// Control tokens per room (issued by the server to whoever claims a room first).
+// Kept in localStorage only — never put into URLs or display links.
+const TOKENS_LS_KEY = "controlTokens";
+let canControl = true; // optimistic until the server answers with "auth"
 
 let state = {
   roomId: "DEMO",
+  mode: "countdown",
   status: "idle",
   durationMs: DEFAULT_DURATION_MS,
   deadlineMs: null,
+  startedAtMs: null, // stopwatch rooms
   remainingMs: DEFAULT_DURATION_MS,
   serverNow: Date.now(),
   yellowAtMs: undefined,
   redAtMs: undefined,
+  thresholds: null,
+  overtime: false,
+  cues: { yellowAtMs: null, redAtMs: null },
+  metadata: { speakerName: "", topic: "" },
+  agenda: [],
+  agendaIndex: -1,
+  upNext: null,
+  clocks: null, // chess rooms: { a, b } (the room-level countdown fields mirror the active one)
+  activeSide: "a",
+  format: null,
+  prep: [],
+  startAt: null, // scheduled start (server epoch ms)
+  timeZone: null, // venue time zone (deadline targets are on its clock)
+  target: null, // deadline rooms: { atMs, time, show }
+  message: null, // operator note on the display: { id, text, priority, expiresAt }
+  history: { undo: 0, undoType: null, redo: 0, redoType: null }, // server-side undo/redo stacks
+  progress: "off", // displays' progress ring/bar
+  audio: { cueSet: "alarm", volume: 0.35, muted: false }, // displays' sound cues
 };
 
 let syncedBaseRemainingMs = state.remainingMs;
+let syncedBaseElapsedMs = 0; // stopwatch rooms
 let syncedReceivedAt = performance.now();
 let lastInputEcho = "";
-let pushedOnce = false;
 let lastPhase = null; // track control preview phase
+let lastAgendaKey = ""; // re-render the agenda list only when it actually changed
+let lastMetaEcho = "";
+let lastThresholdEcho = "";
+let lastSideLabelEcho = "";
+let lastFormatNow = "";
+let lastPrepKey = ""; // prep rows are rebuilt only when banks change, times update in place
+let lastVersion = -1; // server state version of the last applied snapshot
+let scheduleError = ""; // last scheduleStart rejection, shown until the next attempt
+let lastTargetEcho = "";
+let messageError = ""; // last sendMessage rejection, until the next send
+let presence = null; // last "presence" message + when it arrived (performance.now())
+let lastPresenceKey = "";
 
 // ---------- Utils ----------
 function randomRoom() {
   return Math.random().toString(36).slice(2, 6).toUpperCase();
 }
-function fmt(ms) {
+// `hours`: render h:mm:ss from one hour up (stopwatch); countdowns stay MM:SS
+function fmt(ms, { hours = false } = {}) {
   ms = Math.max(0, Math.abs(ms));
   const totalSeconds = Math.floor(ms / 1000);
+  if (hours && totalSeconds >= 3600) {
+    const h = Math.floor(totalSeconds / 3600);
+    const mm = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
+    const ss = String(totalSeconds % 60).padStart(2, "0");
+    return `${h}:${mm}:${ss}`;
+  }
   const m = Math.floor(totalSeconds / 60);
   const r = totalSeconds % 60;
   const mm = m >= 10 ? String(m).padStart(2, "0") : String(m);
   const rr = String(r).padStart(2, "0");
   return `${mm}:${rr}`;
 }
+// "m:ss", "h:mm:ss" or plain minutes ("5") -> ms; NaN when unparseable
+function parseClock(str) {
+  const parts = String(str || "").trim().split(":");
+  if (!parts[0] || parts.length > 3 || parts.some((p) => !/^\d+$/.test(p))) return NaN;
+  if (parts.length === 1) return Number(parts[0]) * 60_000;
+  return parts.reduce((acc, p) => acc * 60 + Number(p), 0) * 1000;
+}
+// How old a snapshot stamped `serverNow` already is (mirror of display.js)
+function snapshotAgeMs(serverNow) {
+  if (!timeSync.ready) return 0;
+  const age = timeSync.serverNow() - serverNow;
+  return Math.abs(age) < MAX_SNAPSHOT_AGE_MS ? age : 0;
+}
+// Keepalive with an unchanged version: re-anchor the running preview (mirror of display.js)
+function rebaseline(serverNow) {
+  if (state.status !== "running") return;
+  const ageMs = snapshotAgeMs(serverNow);
+  if (state.mode === "stopwatch") {
+    if (typeof state.startedAtMs !== "number") return;
+    syncedBaseElapsedMs = Math.max(0, serverNow + ageMs - state.startedAtMs);
+  } else {
+    if (typeof state.deadlineMs !== "number") return;
+    const base = state.deadlineMs - serverNow - ageMs;
+    syncedBaseRemainingMs = state.overtime ? base : Math.max(0, base);
+  }
+  syncedReceivedAt = performance.now();
+}
 function displayUrlFor(room) {
   const u = new URL(location.origin + "/display");
   u.searchParams.set("room", room);
   return u.toString();
 }
-function liveRemainingMs() {
+// Signed: goes negative past zero when the room has overtime enabled
+function liveSignedRemainingMs() {
+  // an idle deadline room still counts down to its target
+  if (state.mode === "deadline" && state.status === "idle" && state.target) {
+    return Math.max(0, state.target.atMs - timeSync.serverNow());
+  }
   const nowMono = performance.now();
   if (state.status === "running") {
     const dt = nowMono - syncedReceivedAt;
-    return Math.max(0, syncedBaseRemainingMs - dt);
+    return syncedBaseRemainingMs - dt;
   }
-  return Math.max(0, syncedBaseRemainingMs);
+  return syncedBaseRemainingMs;
+}
+function liveRemainingMs() {
+  return Math.max(0, liveSignedRemainingMs());
+}
+function liveElapsedMs() {
+  if (state.status === "running") return syncedBaseElapsedMs + (performance.now() - syncedReceivedAt);
+  return syncedBaseElapsedMs;
 }
 
 // mirror display.js phase logic
@@ -94,6 +269,14 @@ function computePhase(remMs) {
   return "green";
 }
 
+// mirror display.js stopwatch cue logic (elapsed time; unset cues never fire)
+function computeStopwatchPhase(elapsedMs) {
+  const { yellowAtMs, redAtMs } = state.cues || {};
+  if (typeof redAtMs === "number" && elapsedMs >= redAtMs) return "red";
+  if (typeof yellowAtMs === "number" && elapsedMs >= yellowAtMs) return "yellow";
+  return "green";
+}
+
 function applyPhase(phase) {
   if (!preview) return;
   if (phase === lastPhase) return;
@@ -105,6 +288,7 @@ function applyPhase(phase) {
   if (phase === "green") preview.classList.add("phase-green");
   else if (phase === "yellow") preview.classList.add("phase-yellow");
   else if (phase === "red") preview.classList.add("phase-red");
+  else if (phase === "overtime") preview.classList.add("phase-red", "overtime");
 }
 
 /**
@@ -128,11 +312,17 @@ function isTypingContext(e) {
   return false;
 }
 
-function clearReconnect() {
-  if (reconnectTimer) {
-    clearTimeout(reconnectTimer);
-    reconnectTimer = null;
-  }
+function loadTokens() {
+  try { return JSON.parse(localStorage.getItem(TOKENS_LS_KEY) || "{}") || {}; }
+  catch { return {}; }
+}
+function tokenFor(room) {
+  return loadTokens()[room] || "";
+}
+function saveToken(room, token) {
+  const tokens = loadTokens();
+  tokens[room] = token;
+  try { localStorage.setItem(TOKENS_LS_KEY, JSON.stringify(tokens)); } catch {}
 }
 
 // ---------- UI ----------
@@ -147,9 +337,61 @@ function setStatusPill(status) {
 }
 function setButtonsByStatus(status) {
   if (startBtn) startBtn.textContent = status === "paused" ? "Resume" : "Start";
-  if (pauseBtn) pauseBtn.disabled = status !== "running";
+  if (startBtn) startBtn.disabled = !canControl;
+  // a time of day can't be paused
+  if (pauseBtn) pauseBtn.disabled = !canControl || status !== "running" || state.mode === "deadline";
+  if (resetBtn) resetBtn.disabled = !canControl;
+  renderHistoryButtons();
+  if (overtimeToggle) overtimeToggle.disabled = !canControl;
+  if (modeSelect) modeSelect.disabled = !canControl;
+  if (progressSelect) progressSelect.disabled = !canControl;
+  [cueSetSelect, audioVolume, audioMute].forEach((el) => {
+    if (el) el.disabled = !canControl;
+  });
+  ["minus30", "plus30", "minus10", "plus10"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = !canControl;
+  });
   if (timeInput) timeInput.disabled = true;
 }
+// Button titles say what would be undone ("Undo −30s")
+const COMMAND_NAMES = {
+  start: "Start",
+  pause: "Pause",
+  resume: "Resume",
+  reset: "Reset",
+  adjustTime: "time adjustment",
+  setDuration: "duration change",
+  setMode: "mode change",
+  setAudio: "sound settings",
+  switchSide: "side switch",
+  next: "Next speaker",
+  previous: "Previous speaker",
+};
+function commandName(type) {
+  return COMMAND_NAMES[type] || type;
+}
+function renderHistoryButtons() {
+  const h = state.history;
+  if (undoBtn) {
+    undoBtn.disabled = !canControl || !h.undo;
+    undoBtn.title = h.undo ? `Undo ${commandName(h.undoType)} (Ctrl+Z)` : "Nothing to undo";
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !canControl || !h.redo;
+    redoBtn.title = h.redo ? `Redo ${commandName(h.redoType)} (Ctrl+Shift+Z)` : "Nothing to redo";
+  }
+}
+
+function setCanControl(next) {
+  canControl = next;
+  lastAgendaKey = ""; // agenda buttons depend on canControl too
+  [metaForm, thresholdForm, agendaForm, formatForm, scheduleForm, targetForm, messageForm, messagePalette].forEach((form) =>
+    form?.querySelectorAll("button").forEach((b) => (b.disabled = !canControl))
+  );
+  if (readOnlyHint) readOnlyHint.hidden = canControl;
+  if (downloadReport) downloadReport.hidden = !canControl;
+}
 function updateDisplayLink(room) {
   if (!openDisplay) return;
   const href = displayUrlFor(room);
@@ -157,6 +399,8 @@ function updateDisplayLink(room) {
   openDisplay.textContent = "Open Display";
   openDisplay.target = "_blank";
   if (copyBtn) copyBtn.dataset.href = href;
+  // session log as CSV (per-run planned / actual / overrun), see GET /api/rooms/:id/report
+  if (downloadReport) downloadReport.href = `/api/rooms/${encodeURIComponent(room)}/report?format=csv`;
 }
 function echoTimeInputIfNeeded() {
   if (!timeInput) return;
@@ -172,16 +416,429 @@ function setTimeHint(msg = "") {
   timeHint.textContent = msg;
   timeHint.style.visibility = "hidden";
 }
+// Mirror server metadata into the inputs, but never under the operator's cursor
+function echoMetadataIfNeeded() {
+  const key = JSON.stringify(state.metadata);
+  if (key === lastMetaEcho) return;
+  if (document.activeElement === metaName || document.activeElement === metaTopic) return;
+  lastMetaEcho = key;
+  if (metaName) metaName.value = state.metadata?.speakerName || "";
+  if (metaTopic) metaTopic.value = state.metadata?.topic || "";
+}
+function fmtPercent(frac) {
+  return String(Math.round(frac * 1000) / 10);
+}
+function echoThresholdsIfNeeded() {
+  if (state.mode === "stopwatch") {
+    echoCuesIfNeeded();
+    return;
+  }
+  if (thresholdMode) thresholdMode.hidden = false;
+  if (thresholdSide) thresholdSide.hidden = state.mode !== "chess";
+
+  // chess: the selected side's thresholds (its own, else the room's)
+  const clock = selectedThresholdClock();
+  const shown = clock ?? state;
+  if (thresholdHint && typeof shown.yellowAtMs === "number" && typeof shown.redAtMs === "number") {
+    thresholdHint.textContent = `Yellow at ${fmt(shown.yellowAtMs)} left · Red at ${fmt(shown.redAtMs)} left`;
+  }
+
+  const t = clock?.thresholds ?? state.thresholds;
+  if (!t?.mode) return;
+  const key = JSON.stringify([state.mode, thresholdSide?.value, t]);
+  if (key === lastThresholdEcho) return;
+  if (thresholdForm?.contains(document.activeElement)) return;
+  lastThresholdEcho = key;
+
+  if (thresholdMode) thresholdMode.value = t.mode;
+  fillThresholdInputs(t.mode);
+}
+function selectedThresholdClock() {
+  if (state.mode !== "chess" || !thresholdSide?.value) return null;
+  return state.clocks?.[thresholdSide.value] ?? null;
+}
+// Stopwatch rooms reuse the Warnings form for cues (elapsed m:ss; empty = no cue)
+function echoCuesIfNeeded() {
+  const { yellowAtMs, redAtMs } = state.cues || {};
+  if (thresholdMode) thresholdMode.hidden = true;
+  if (thresholdHint) {
+    const parts = [];
+    if (typeof yellowAtMs === "number") parts.push(`Yellow after ${fmt(yellowAtMs, { hours: true })}`);
+    if (typeof redAtMs === "number") parts.push(`Red after ${fmt(redAtMs, { hours: true })}`);
+    thresholdHint.textContent = parts.length ? parts.join(" · ") : "No cues: the stopwatch stays green.";
+  }
+
+  const key = JSON.stringify([state.mode, state.cues]);
+  if (key === lastThresholdEcho) return;
+  if (thresholdForm?.contains(document.activeElement)) return;
+  lastThresholdEcho = key;
+
+  if (yellowAtInput) {
+    yellowAtInput.value = typeof yellowAtMs === "number" ? fmt(yellowAtMs, { hours: true }) : "";
+    yellowAtInput.placeholder = "yellow";
+  }
+  if (redAtInput) {
+    redAtInput.value = typeof redAtMs === "number" ? fmt(redAtMs, { hours: true }) : "";
+    redAtInput.placeholder = "red";
+  }
+  yellowAtInput?.classList.remove("input-error");
+  redAtInput?.classList.remove("input-error");
+}
+function fillThresholdInputs(mode) {
+  const t = selectedThresholdClock()?.thresholds ?? state.thresholds ?? {};
+  const fraction = mode === "fraction";
+  if (yellowAtInput) {
+    yellowAtInput.value = fraction ? fmtPercent(t.yellowFrac ?? 0.5) : fmt(t.yellowAtMs ?? 60_000);
+    yellowAtInput.placeholder = fraction ? "50" : "1:00";
+  }
+  if (redAtInput) {
+    redAtInput.value = fraction ? fmtPercent(t.redFrac ?? 0.1) : fmt(t.redAtMs ?? 30_000);
+    redAtInput.placeholder = fraction ? "10" : "0:30";
+  }
+  yellowAtInput?.classList.remove("input-error");
+  redAtInput?.classList.remove("input-error");
+}
+function renderFormat() {
+  const seg = state.agenda[state.agendaIndex];
+  const text = state.format
+    ? `${state.format.name}` +
+      (seg ? ` · segment ${state.agendaIndex + 1} of ${state.agenda.length}: ${seg.speakerName || "Untitled"}` : "")
+    : "No format loaded: the agenda below is free-form.";
+  // only on change, so a rejected load/prep message stays up until something happens
+  if (formatNow && text !== lastFormatNow) {
+    lastFormatNow = text;
+    formatNow.textContent = text;
+  }
+  if (!prepList) return;
+
+  const key = JSON.stringify([canControl, state.prep.map((b) => [b.id, b.label, b.deadlineMs, b.remainingMs])]);
+  if (key !== lastPrepKey) {
+    lastPrepKey = key;
+    prepList.replaceChildren(
+      ...state.prep.map((bank) => {
+        const li = document.createElement("li");
+        li.className = "prep-item";
+        li.dataset.bankId = bank.id;
+
+        const label = document.createElement("span");
+        label.className = "prep-label";
+        label.textContent = bank.label;
+
+        const time = document.createElement("span");
+        time.className = "prep-time";
+
+        const running = typeof bank.deadlineMs === "number";
+        const buttons = [
+          [running ? "stop" : "use", running ? "Stop" : "Use prep"],
+          ["charge", "−15s"],
+          ["return", "+15s"],
+        ].map(([action, text]) => {
+          const b = document.createElement("button");
+          b.type = "button";
+          b.dataset.action = action;
+          b.textContent = text;
+          b.disabled = !canControl;
+          return b;
+        });
+
+        li.append(label, time, ...buttons);
+        return li;
+      })
+    );
+  }
+
+  // live countdown of the bank in use
+  prepList.querySelectorAll(".prep-item").forEach((li) => {
+    const bank = state.prep.find((b) => b.id === li.dataset.bankId);
+    if (!bank) return;
+    const running = typeof bank.deadlineMs === "number";
+    const rem = running ? Math.max(0, bank.deadlineMs - timeSync.serverNow()) : bank.remainingMs;
+    const text = fmt(Math.ceil(rem / 1000) * 1000);
+    const time = li.querySelector(".prep-time");
+    if (time && time.textContent !== text) time.textContent = text;
+    li.classList.toggle("is-running", running);
+    li.classList.toggle("is-empty", rem <= 0);
+  });
+}
+function renderFormatOptions(formats) {
+  if (!formatSelect) return;
+  formatSelect.replaceChildren(
+    ...formats.map((f) => {
+      const opt = document.createElement("option");
+      opt.value = f.id;
+      opt.textContent = f.builtin ? f.name : `${f.name} (custom)`;
+      return opt;
+    })
+  );
+}
+async function loadFormatOptions() {
+  try {
+    const res = await fetch("/api/formats");
+    const body = await res.json();
+    renderFormatOptions(Array.isArray(body?.formats) ? body.formats : []);
+  } catch (err) {
+    console.warn("[control] Could not load formats:", err);
+  }
+}
+function renderAgenda() {
+  const key = JSON.stringify([state.agenda, state.agendaIndex]);
+  if (key === lastAgendaKey) return;
+  lastAgendaKey = key;
+
+  const current = state.agenda[state.agendaIndex];
+  if (agendaNow) {
+    agendaNow.textContent = current
+      ? [current.speakerName || "Untitled", current.topic].filter(Boolean).join(" · ")
+      : "No speaker loaded";
+  }
+  if (agendaUpNext) {
+    const next = state.upNext;
+    agendaUpNext.textContent = next
+      ? `Up next: ${next.speakerName || "Untitled"} (${fmt(next.durationMs)})`
+      : "";
+  }
+  if (agendaPrevBtn) agendaPrevBtn.disabled = !canControl || state.agendaIndex <= 0;
+  if (agendaNextBtn) agendaNextBtn.disabled = !canControl || state.agendaIndex + 1 >= state.agenda.length;
+
+  if (!agendaList) return;
+  agendaList.replaceChildren(
+    ...state.agenda.map((entry, i) => {
+      const li = document.createElement("li");
+      li.className = "agenda-item" + (i === state.agendaIndex ? " is-current" : "");
+
+      const num = document.createElement("span");
+      num.className = "agenda-num";
+      num.textContent = String(i + 1);
+
+      const text = document.createElement("span");
+      text.className = "agenda-text";
+      text.textContent = entry.speakerName || "Untitled";
+      if (entry.topic) {
+        const topic = document.createElement("span");
+        topic.className = "agenda-topic";
+        topic.textContent = entry.topic;
+        text.appendChild(topic);
+      }
+
+      const dur = document.createElement("span");
+      dur.className = "agenda-dur";
+      dur.textContent = fmt(entry.durationMs);
+
+      const actions = [
+        ["up", "↑", "Move up", i === 0],
+        ["down", "↓", "Move down", i === state.agenda.length - 1],
+        ["remove", "✕", "Remove", false],
+      ].map(([action, label, aria, disabled]) => {
+        const b = document.createElement("button");
+        b.type = "button";
+        b.dataset.action = action;
+        b.dataset.id = entry.id;
+        b.dataset.index = String(i);
+        b.textContent = label;
+        b.setAttribute("aria-label", aria);
+        b.disabled = disabled || !canControl;
+        return b;
+      });
+
+      li.append(num, text, dur, ...actions);
+      return li;
+    })
+  );
+}
 function updateUI() {
-  const rem = liveRemainingMs();
-  if (preview) {
-    const floored = Math.floor(rem / 1000) * 1000;
-    preview.textContent = fmt(floored);
-    applyPhase(computePhase(floored));
+  const signed = liveSignedRemainingMs();
+  if (preview && state.mode === "stopwatch") {
+    const elapsed = liveElapsedMs();
+    preview.textContent = fmt(Math.floor(elapsed / 1000) * 1000, { hours: true });
+    applyPhase(computeStopwatchPhase(elapsed));
+  } else if (preview) {
+    // same rule as the display: 0:00 for a full second, then +0:01, ...
+    const overtimeSec = state.overtime && state.status !== "idle" ? Math.floor(Math.max(0, -signed) / 1000) : 0;
+    if (overtimeSec > 0) {
+      preview.textContent = fmt(overtimeSec * 1000);
+      applyPhase("overtime");
+    } else {
+      const floored = Math.floor(Math.max(0, signed) / 1000) * 1000;
+      preview.textContent = fmt(floored);
+      applyPhase(computePhase(floored));
+    }
   }
+  if (overtimeToggle && document.activeElement !== overtimeToggle) overtimeToggle.checked = state.overtime;
+  if (overtimeRow) overtimeRow.hidden = state.mode !== "countdown" && state.mode !== "deadline";
+  renderChessControls();
+  renderTargetControls();
+  if (modeSelect && document.activeElement !== modeSelect) modeSelect.value = state.mode;
+  if (progressSelect && document.activeElement !== progressSelect) progressSelect.value = state.progress;
   setStatusPill(state.status);
   setButtonsByStatus(state.status);
   echoTimeInputIfNeeded();
+  echoMetadataIfNeeded();
+  echoThresholdsIfNeeded();
+  renderAgenda();
+  renderFormat();
+  renderSchedule();
+  renderMessage();
+  renderPresence();
+  renderAudioControls();
+}
+
+// What the display shows right now
+function renderMessage() {
+  if (!messageNow) return;
+  const m = state.message;
+  let text = messageError || "Nothing on the display.";
+  if (m) {
+    const left = typeof m.expiresAt === "number" ? Math.max(0, m.expiresAt - timeSync.serverNow()) : null;
+    text = `On the display (${m.priority}): “${m.text}”` + (left === null ? "" : ` · hides in ${Math.ceil(left / 1000)}s`);
+  }
+  if (messageNow.textContent !== text) messageNow.textContent = text;
+}
+
+// Room's sound cues (setAudio); the slider isn't echoed while it's being dragged
+function renderAudioControls() {
+  const a = state.audio;
+  if (cueSetSelect && document.activeElement !== cueSetSelect) cueSetSelect.value = a.cueSet;
+  if (audioVolume && document.activeElement !== audioVolume) audioVolume.value = String(Math.round(a.volume * 100));
+  if (audioMute) audioMute.checked = a.muted;
+  if (testSoundBtn) {
+    testSoundBtn.disabled = !canControl || a.muted;
+    testSoundBtn.title = a.muted ? "Unmute to test" : "Play the sounds on every display";
+  }
+}
+
+// "Starts at 14:30:00 (in 4:12)" while a scheduled start is pending
+function renderSchedule() {
+  const pending = typeof state.startAt === "number" && state.status !== "running";
+  if (scheduleCancel) {
+    scheduleCancel.hidden = !pending;
+    scheduleCancel.disabled = !canControl;
+  }
+  if (!scheduleHint) return;
+
+  let text = scheduleError;
+  if (pending) {
+    const at = new Date(state.startAt).toLocaleTimeString([], { hour12: false, timeZone: state.timeZone || undefined });
+    const inMs = Math.max(0, Math.ceil((state.startAt - timeSync.serverNow()) / 1000) * 1000);
+    text = `Starts at ${at} (in ${fmt(inMs, { hours: true })})`;
+  }
+  if (scheduleHint.textContent !== text) scheduleHint.textContent = text;
+  scheduleHint.hidden = !text;
+}
+
+// Switch button, both sides' time and the side names (chess rooms only)
+function renderChessControls() {
+  const chess = state.mode === "chess" && !!state.clocks;
+  if (switchSideBtn) {
+    switchSideBtn.hidden = !chess;
+    switchSideBtn.disabled = !canControl;
+  }
+  if (sideLabelForm) sideLabelForm.hidden = !chess;
+  if (chessLine) chessLine.hidden = !chess;
+  if (!chess) return;
+
+  if (chessLine) {
+    chessLine.textContent = ["a", "b"]
+      .map((side) => {
+        const c = state.clocks[side];
+        const rem = side === state.activeSide ? liveRemainingMs() : c.remainingMs;
+        return `${side === state.activeSide ? "▶ " : ""}${c.label} ${fmt(Math.floor(Math.max(0, rem) / 1000) * 1000)}`;
+      })
+      .join("  ·  ");
+  }
+
+  const labels = [state.clocks.a.label, state.clocks.b.label];
+  const key = JSON.stringify(labels);
+  if (key === lastSideLabelEcho || sideLabelForm?.contains(document.activeElement)) return;
+  lastSideLabelEcho = key;
+  if (sideLabelA) sideLabelA.value = labels[0];
+  if (sideLabelB) sideLabelB.value = labels[1];
+  thresholdSide?.querySelectorAll("option[value=a], option[value=b]").forEach((opt) => {
+    opt.textContent = state.clocks[opt.value].label;
+  });
+}
+
+// Target time + venue zone (deadline rooms only); inputs echo the room unless being edited
+function renderTargetControls() {
+  const deadline = state.mode === "deadline";
+  if (targetForm) targetForm.hidden = !deadline;
+  if (targetHint) targetHint.hidden = !deadline;
+  if (!deadline) return;
+
+  const key = JSON.stringify([state.target, state.timeZone]);
+  if (key === lastTargetEcho || targetForm?.contains(document.activeElement)) return;
+  lastTargetEcho = key;
+  if (targetTime && state.target) targetTime.value = state.target.time;
+  if (targetZone) targetZone.value = state.timeZone || "";
+  if (targetShow) targetShow.checked = state.target?.show !== false;
+  if (targetHint) {
+    targetHint.textContent = state.target
+      ? `Ends at ${state.target.time} (${state.timeZone}). −30s / +30s move the end time.`
+      : "Pick the time this session must end.";
+  }
+}
+
+// Clients probe the clock every 15s, so a page quiet for longer is lagging or gone
+const PRESENCE_STALE_MS = 20_000;
+const PRESENCE_SILENT_MS = 45_000;
+
+function presenceState(ageMs) {
+  if (ageMs < PRESENCE_STALE_MS) return "live";
+  return ageMs < PRESENCE_SILENT_MS ? "stale" : "silent";
+}
+
+function browserName(ua = "") {
+  if (/Edg\//.test(ua)) return "Edge";
+  if (/Firefox\//.test(ua)) return "Firefox";
+  if (/Chrome\//.test(ua)) return "Chrome";
+  if (/Safari\//.test(ua)) return "Safari";
+  return "";
+}
+
+// One row per connected page: name, live/stale/silent, browser, latency, audio
+function renderPresence() {
+  if (!presenceList) return;
+  if (!presence) {
+    if (lastPresenceKey !== "none") presenceList.replaceChildren();
+    lastPresenceKey = "none";
+    return;
+  }
+
+  const sinceMs = performance.now() - presence.receivedAt;
+  const rows = presence.clients.map((c) => {
+    const name = c.label || (c.role === "control" ? "Control" : "Display");
+    const meta = [
+      c.role,
+      browserName(c.userAgent),
+      typeof c.rttMs === "number" ? `${c.rttMs} ms` : "",
+      c.role === "display" && c.audioArmed !== null ? (c.audioArmed ? "audio on" : "audio off") : "",
+    ].filter(Boolean);
+    const state = presenceState(presence.serverNow - c.lastSeen + sinceMs);
+    return { id: c.id, name: c.id === presence.you ? `${name} (this page)` : name, meta, state, ua: c.userAgent };
+  });
+
+  // rebuild only when something visible changed
+  const key = JSON.stringify(rows);
+  if (key === lastPresenceKey) return;
+  lastPresenceKey = key;
+
+  presenceList.replaceChildren(
+    ...rows.map((r) => {
+      const li = document.createElement("li");
+      li.className = "presence-item";
+      li.title = r.ua;
+      const badge = document.createElement("span");
+      badge.className = `presence-state is-${r.state}`;
+      badge.textContent = r.state;
+      const name = document.createElement("span");
+      name.className = "presence-name";
+      name.textContent = r.name;
+      const meta = document.createElement("span");
+      meta.className = "presence-meta";
+      meta.textContent = r.meta.join(" · ");
+      li.append(badge, name, meta);
+      return li;
+    })
+  );
 }
 
 // ---------- WebSocket ----------
@@ -197,14 +854,38 @@ function resetLocalViewForRoom(room) {
   state.status = "idle";
   state.durationMs = DEFAULT_DURATION_MS;
   state.deadlineMs = null;
+  state.startedAtMs = null;
   state.remainingMs = DEFAULT_DURATION_MS;
   state.serverNow = Date.now();
   state.yellowAtMs = undefined;
   state.redAtMs = undefined;
+  state.thresholds = null;
+  state.overtime = false;
+  state.mode = "countdown";
+  state.cues = { yellowAtMs: null, redAtMs: null };
+  state.metadata = { speakerName: "", topic: "" };
+  state.agenda = [];
+  state.agendaIndex = -1;
+  state.upNext = null;
+  state.clocks = null;
+  state.activeSide = "a";
+  state.format = null;
+  state.prep = [];
+  state.startAt = null;
+  state.timeZone = null;
+  state.target = null;
+  state.message = null;
+  state.history = { undo: 0, undoType: null, redo: 0, redoType: null };
+  state.progress = "off";
+  state.audio = { cueSet: "alarm", volume: 0.35, muted: false };
+  presence = null;
+  if (audioHint) audioHint.hidden = true;
 
   syncedBaseRemainingMs = DEFAULT_DURATION_MS;
+  syncedBaseElapsedMs = 0;
   syncedReceivedAt = performance.now();
   lastPhase = null;
+  lastVersion = -1;
   updateUI();
 }
 
@@ -212,125 +893,207 @@ function connect(room) {
   room = (room || "DEMO").toUpperCase().slice(0, 8) || "DEMO";
   currentRoom = room;
 
-  clearReconnect();
-
   // Always update UI link + local render baseline immediately
   updateDisplayLink(room);
   resetLocalViewForRoom(room);
+  setStatusPill("connecting");
 
   // If we already have an OPEN socket, do NOT create a second connection.
   // Instead, switch rooms on the same socket (server supports type:"join").
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    setStatusPill("connecting");
-    try {
-      ws.send(JSON.stringify({ type: "join", payload: { roomId: room, role: "control" } }));
-      ws.send(JSON.stringify({ type: "requestSnapshot" }));
-    } catch {}
+  if (socket?.isOpen) {
+    joinCurrentRoom();
     return;
   }
 
-  // If there’s a socket that’s CONNECTING/CLOSING, close it and replace.
-  try { ws?.close(); } catch {}
+  socket ??= createReconnectingSocket({
+    label: "control",
+    url: () => wsUrlFor(currentRoom),
+    onOpen,
+    onMessage,
+    onClose: () => {
+      setStatusPill("connecting");
+      timeSync.stop();
+    },
+    onRetry: showRetry,
+  });
+  // a socket still CONNECTING/CLOSING would come up for the old room: replace it
+  socket.reconnect();
+}
+
+function joinCurrentRoom() {
+  socket.send({ type: "join", payload: { roomId: currentRoom, role: "control", token: tokenFor(currentRoom) } });
+  socket.send({ type: "requestSnapshot" });
+}
+
+function onOpen() {
+  // a restarted server may count versions from scratch: take whatever it sends next
+  lastVersion = -1;
+  timeSync.start();
+  // join + snapshot only: opening or reloading the page never changes the room
+  joinCurrentRoom();
+}
 
+// "RETRY IN 4s" in the status pill while reconnect.js waits out its backoff
+function showRetry({ inMs }) {
   setStatusPill("connecting");
+  if (statusEl && inMs > 0) statusEl.textContent = `RETRY IN ${Math.ceil(inMs / 1000)}s`;
+}
 
-  const myToken = ++wsToken; // this socket's identity
-  ws = new WebSocket(wsUrlFor(room));
+function onMessage(ev) {
+  let parsed;
+  try { parsed = JSON.parse(ev.data); } catch { return; }
+  const { type, payload } = parsed || {};
 
-  ws.onopen = () => {
-    if (myToken !== wsToken) return;
+  if (type === "timeSync") {
+    timeSync.handleReply(payload);
+    return;
+  }
 
-    try {
-      ws.send(JSON.stringify({ type: "join", payload: { roomId: currentRoom, role: "control" } }));
-      ws.send(JSON.stringify({ type: "requestSnapshot" }));
-    } catch {}
+  if (type === "auth" && payload) {
+    const authRoom = (payload.roomId || "").toUpperCase();
+    if (authRoom !== currentRoom) return;
+    if (payload.controlToken) saveToken(authRoom, payload.controlToken);
+    setCanControl(payload.role === "control");
+    return;
+  }
 
-    if (!pushedOnce) {
-      setTimeout(() => {
-        if (myToken !== wsToken) return;
-        pushedOnce = true;
-      }, 50);
+  // Only full snapshots carry state; a version we haven't seen means we missed one
+  if (type === "keepalive" && payload) {
+    if ((payload.roomId || "").toUpperCase() !== currentRoom) return;
+    if (payload.version !== lastVersion) {
+      socket.send({ type: "requestSnapshot" });
+    } else if (typeof payload.serverNow === "number") {
+      rebaseline(payload.serverNow);
     }
-  };
+    return;
+  }
 
-  ws.onerror = (err) => console.warn("[control] WebSocket error:", err);
-
-  ws.onmessage = (ev) => {
-    let parsed;
-    try { parsed = JSON.parse(ev.data); } catch { return; }
-    const { type, payload } = parsed || {};
-    if (type !== "snapshot" || !payload) return;
-
-    const snapRoom = (payload.roomId || "").toUpperCase();
-    if (snapRoom && snapRoom !== currentRoom) return;
-
-    state.roomId = snapRoom || currentRoom;
-    state.status = payload.status ?? state.status;
-    state.durationMs = payload.durationMs ?? state.durationMs;
-    state.serverNow = typeof payload.serverNow === "number" ? payload.serverNow : Date.now();
-
-    // server now provides these; still tolerate missing
-    state.yellowAtMs = typeof payload.yellowAtMs === "number" ? payload.yellowAtMs : state.yellowAtMs;
-    state.redAtMs = typeof payload.redAtMs === "number" ? payload.redAtMs : state.redAtMs;
-
-    const nowMono = performance.now();
-    if (state.status === "running" && typeof payload.deadlineMs === "number") {
-      const base = payload.deadlineMs - state.serverNow;
-      syncedBaseRemainingMs = Math.max(0, base);
-      syncedReceivedAt = nowMono;
-      state.deadlineMs = payload.deadlineMs;
-      state.remainingMs = undefined;
-    } else {
-      const rem = typeof payload.remainingMs === "number" ? payload.remainingMs : state.remainingMs;
-      syncedBaseRemainingMs = Math.max(0, rem);
-      syncedReceivedAt = nowMono;
-      state.deadlineMs = null;
-      state.remainingMs = rem;
-    }
+  if (type === "presence" && payload) {
+    if ((payload.roomId || "").toUpperCase() !== currentRoom) return;
+    presence = {
+      serverNow: payload.serverNow,
+      clients: Array.isArray(payload.clients) ? payload.clients : [],
+      you: payload.you,
+      receivedAt: performance.now(),
+    };
+    renderPresence();
+    return;
+  }
 
-    // Safer default push: only once per room, only if room is idle (don’t clobber running/paused rooms)
-    if (!initializedRooms.has(state.roomId) && state.status === "idle") {
-      initializedRooms.add(state.roomId);
-      setTimeout(() => {
-        if (ws?.readyState === WebSocket.OPEN && state.roomId === currentRoom && state.status === "idle") {
-          setDuration(DEFAULT_DURATION_MS);
-        }
-      }, 75);
+  // reply to our "Test sound": how many displays could actually play it
+  if (type === "testSound" && payload) {
+    if ((payload.roomId || "").toUpperCase() !== currentRoom || !audioHint) return;
+    const silent = payload.displays - payload.armed;
+    audioHint.textContent = !payload.displays
+      ? "No display is connected."
+      : `Sent to ${payload.displays} display${payload.displays === 1 ? "" : "s"}` +
+        (silent ? ` · ${silent} without audio (click the display once to turn it on)` : "");
+    audioHint.hidden = false;
+    return;
+  }
+
+  if (type === "error" && payload) {
+    console.warn("[control] Server rejected command:", payload.command, payload.message);
+    if ((payload.command === "setThresholds" || payload.command === "setCues") && thresholdHint) {
+      thresholdHint.textContent = payload.message;
+    }
+    if ((payload.command === "loadFormat" || payload.command?.startsWith("prep")) && formatNow) {
+      formatNow.textContent = payload.message;
+    }
+    if (payload.command === "scheduleStart") scheduleError = payload.message;
+    if (payload.command === "sendMessage") messageError = payload.message;
+    if (payload.command === "setTarget" && targetHint) {
+      targetHint.textContent = payload.message;
+      lastTargetEcho = "";
     }
+    return;
+  }
 
-    lastPhase = null;
-    updateUI();
-  };
+  if (type !== "snapshot" || !payload) return;
 
-  ws.onclose = () => {
-    const stillActiveSocket = (myToken === wsToken);
-    const intendedRoom = currentRoom;
+  const snapRoom = (payload.roomId || "").toUpperCase();
+  if (snapRoom && snapRoom !== currentRoom) return;
 
-    setStatusPill("connecting");
-    if (!stillActiveSocket) return;
+  // full state, so newer always wins; an older one is a stale reorder
+  if (typeof payload.version === "number") {
+    if (payload.version < lastVersion) return;
+    lastVersion = payload.version;
+  }
 
-    clearReconnect();
-    reconnectTimer = setTimeout(() => {
-      reconnectTimer = null;
-      if (myToken !== wsToken) return;
-      connect(intendedRoom);
-    }, 2500);
-  };
+  state.roomId = snapRoom || currentRoom;
+  state.status = payload.status ?? state.status;
+  state.durationMs = payload.durationMs ?? state.durationMs;
+  state.serverNow = typeof payload.serverNow === "number" ? payload.serverNow : Date.now();
+
+  // server now provides these; still tolerate missing
+  state.yellowAtMs = typeof payload.yellowAtMs === "number" ? payload.yellowAtMs : state.yellowAtMs;
+  state.redAtMs = typeof payload.redAtMs === "number" ? payload.redAtMs : state.redAtMs;
+
+  state.thresholds = payload.thresholds ?? state.thresholds;
+  // chess clocks always stop at 0
+  state.overtime = payload.overtime === true && payload.mode !== "chess";
+  state.mode = ["stopwatch", "chess", "deadline"].includes(payload.mode) ? payload.mode : "countdown";
+  state.cues = payload.cues ?? state.cues;
+  state.clocks = payload.clocks ?? null;
+  state.activeSide = payload.activeSide === "b" ? "b" : "a";
+  state.format = payload.format ?? null;
+  state.prep = Array.isArray(payload.prep) ? payload.prep : [];
+  state.startAt = typeof payload.startAt === "number" ? payload.startAt : null;
+  state.timeZone = typeof payload.timeZone === "string" ? payload.timeZone : null;
+  state.target = typeof payload.target?.atMs === "number" ? payload.target : null;
+  state.message = payload.message?.text ? payload.message : null;
+  state.history = payload.history ?? state.history;
+  state.progress = payload.progress ?? state.progress;
+  state.audio = payload.audio ?? state.audio;
+  state.startedAtMs = typeof payload.startedAtMs === "number" ? payload.startedAtMs : null;
+  state.metadata = payload.metadata ?? state.metadata;
+  state.agenda = Array.isArray(payload.agenda) ? payload.agenda : state.agenda;
+  state.agendaIndex = typeof payload.agendaIndex === "number" ? payload.agendaIndex : state.agendaIndex;
+  state.upNext = payload.upNext ?? null;
+
+  // only overtime rooms may carry a negative remaining time
+  const clampRem = (v) => (state.overtime ? v : Math.max(0, v));
+
+  const nowMono = performance.now();
+  const ageMs = state.status === "running" ? snapshotAgeMs(state.serverNow) : 0;
+  syncedBaseElapsedMs = (typeof payload.elapsedMs === "number" ? payload.elapsedMs : 0) + ageMs;
+
+  if (state.status === "running" && typeof payload.deadlineMs === "number") {
+    const base = payload.deadlineMs - state.serverNow - ageMs;
+    syncedBaseRemainingMs = clampRem(base);
+    syncedReceivedAt = nowMono;
+    state.deadlineMs = payload.deadlineMs;
+    state.remainingMs = undefined;
+  } else {
+    const rem = typeof payload.remainingMs === "number" ? payload.remainingMs : state.remainingMs;
+    syncedBaseRemainingMs = clampRem(rem);
+    syncedReceivedAt = nowMono;
+    state.deadlineMs = null;
+    state.remainingMs = rem;
+  }
+
+  lastPhase = null;
+  updateUI();
 }
 
 function send(type, payload = {}) {
-  if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type, payload }));
+  socket?.send({ type, payload });
 }
 
 // ---------- Commands ----------
-function setDuration(ms) { send("setDuration", { durationMs: ms }); }
 function start() { send("start", { durationMs: state.remainingMs ?? DEFAULT_DURATION_MS }); }
 function pause() { send("pause"); }
 function resume() { send("resume"); }
 function resetToDefault() {
-  // FIX: previously sent the wrong payload shape to setDuration
-  setDuration(DEFAULT_DURATION_MS);
-  send("reset");
+  // With an agenda entry loaded, "default" means that speaker's slot. One command, so
+  // one Undo puts back exactly what the click replaced.
+  // Chess rooms keep each side's bank: reset refills both. Deadline rooms keep their target.
+  const entry = state.agenda[state.agendaIndex];
+  if (state.mode === "countdown" || state.mode === "stopwatch") {
+    send("reset", { durationMs: entry?.durationMs ?? DEFAULT_DURATION_MS });
+  } else {
+    send("reset");
+  }
 }
 
 // ---------- Bindings ----------
@@ -358,16 +1121,28 @@ Object.keys(presets).forEach((id) => {
 
 // ✅ Start / resume / restart-from-zero flow
 startBtn?.addEventListener("click", () => {
+  // Stopwatch: no "time left", so Start just starts (or resumes) counting up.
+  // Chess: same; a new round resets both sides (switchSide hands over mid-round)
+  // Deadline: runs until the target time, whenever it's started
+  if (state.mode === "stopwatch" || state.mode === "chess" || state.mode === "deadline") {
+    if (state.status === "paused") resume();
+    else if (state.status !== "running") send("start");
+    return;
+  }
+
   const rem = liveRemainingMs();
 
+  // An overtime round is still live past 0: Start only resumes it, never restarts it
+  const liveOvertime = state.overtime && (state.status === "running" || state.status === "paused");
+
   // If we're effectively at 0, always treat Start as "new 3:00 round"
-  if (rem <= 1000) {
+  if (rem <= 1000 && !liveOvertime) {
     syncedBaseRemainingMs = DEFAULT_DURATION_MS;
     syncedReceivedAt = performance.now();
     state.remainingMs = DEFAULT_DURATION_MS;
     state.durationMs = DEFAULT_DURATION_MS;
 
-    setDuration(DEFAULT_DURATION_MS);
+    // start { durationMs } sets the duration too: one command, one undo step
     send("start", { durationMs: DEFAULT_DURATION_MS });
     return;
   }
@@ -383,7 +1158,221 @@ startBtn?.addEventListener("click", () => {
 });
 
 pauseBtn?.addEventListener("click", () => pause());
+modeSelect?.addEventListener("change", () => {
+  send("setMode", { mode: modeSelect.value });
+  modeSelect.blur();
+});
+progressSelect?.addEventListener("change", () => {
+  send("setProgress", { style: progressSelect.value });
+  progressSelect.blur();
+});
+cueSetSelect?.addEventListener("change", () => {
+  send("setAudio", { cueSet: cueSetSelect.value });
+  cueSetSelect.blur();
+});
+// "change" (on release), not "input": one command + undo step per drag
+audioVolume?.addEventListener("change", () => {
+  send("setAudio", { volume: Number(audioVolume.value) / 100 });
+  audioVolume.blur();
+});
+audioMute?.addEventListener("change", () => send("setAudio", { muted: audioMute.checked }));
+testSoundBtn?.addEventListener("click", () => send("testSound"));
+switchSideBtn?.addEventListener("click", () => send("switchSide"));
+sideLabelForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  send("setSideLabel", { side: "a", label: sideLabelA?.value || "" });
+  send("setSideLabel", { side: "b", label: sideLabelB?.value || "" });
+  lastSideLabelEcho = "";
+  document.activeElement?.blur?.();
+});
+overtimeToggle?.addEventListener("change", () => {
+  send("setOvertime", { enabled: overtimeToggle.checked });
+  overtimeToggle.blur();
+});
 resetBtn?.addEventListener("click", () => resetToDefault());
+undoBtn?.addEventListener("click", () => send("undo"));
+redoBtn?.addEventListener("click", () => send("redo"));
+
+// Deadline target: the server resolves the time on the venue's clock
+targetForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const time = targetTime?.value || "";
+  if (!time) {
+    if (targetHint) targetHint.textContent = "Pick an end time.";
+    return;
+  }
+  send("setTarget", {
+    time,
+    timeZone: targetZone?.value.trim() || state.timeZone || undefined,
+    show: targetShow ? targetShow.checked : true,
+  });
+  lastTargetEcho = "";
+  document.activeElement?.blur?.();
+});
+if (targetZones && typeof Intl.supportedValuesOf === "function") {
+  targetZones.replaceChildren(
+    ...Intl.supportedValuesOf("timeZone").map((zone) => Object.assign(document.createElement("option"), { value: zone }))
+  );
+}
+
+// Scheduled start (the server starts the room itself at that instant)
+scheduleForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  // the server resolves the time on the venue's clock (state.timeZone), not this browser's
+  const time = scheduleTime?.value.trim() || "";
+  scheduleError = time ? "" : "Pick a start time.";
+  if (time) send("scheduleStart", { time });
+  document.activeElement?.blur?.();
+});
+scheduleCancel?.addEventListener("click", () => {
+  scheduleError = "";
+  send("cancelSchedule");
+});
+
+// Speaker metadata
+metaForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  send("setMetadata", { speakerName: metaName?.value || "", topic: metaTopic?.value || "" });
+  lastMetaEcho = ""; // let the server's cleaned-up values flow back in
+  document.activeElement?.blur?.();
+});
+metaClear?.addEventListener("click", () => {
+  send("setMetadata", { speakerName: "", topic: "" });
+  lastMetaEcho = "";
+});
+
+// Operator messages
+function sendOperatorMessage(text, priority) {
+  messageError = "";
+  const durationMs = Number(messageDuration?.value) || undefined;
+  send("sendMessage", { text, priority, durationMs });
+}
+messagePalette?.addEventListener("click", (e) => {
+  const b = e.target.closest?.("button[data-text]");
+  if (b) sendOperatorMessage(b.dataset.text, b.dataset.priority || "info");
+});
+messageForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const text = messageText?.value.trim() || "";
+  if (!text) return;
+  sendOperatorMessage(text, messagePriority?.value || "info");
+  if (messageText) messageText.value = "";
+});
+messageClear?.addEventListener("click", () => {
+  messageError = "";
+  send("clearMessage", state.message ? { id: state.message.id } : {});
+});
+
+// Warning thresholds
+thresholdMode?.addEventListener("change", () => fillThresholdInputs(thresholdMode.value));
+// show the picked side's values (its own, else the room's)
+thresholdSide?.addEventListener("change", () => {
+  const t = selectedThresholdClock()?.thresholds ?? state.thresholds;
+  if (!t?.mode) return;
+  if (thresholdMode) thresholdMode.value = t.mode;
+  fillThresholdInputs(t.mode);
+});
+
+thresholdForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+
+  if (state.mode === "stopwatch") {
+    const parseCue = (el) => {
+      const raw = el?.value.trim() || "";
+      const v = raw ? parseClock(raw) : null;
+      el?.classList.toggle("input-error", v !== null && !Number.isFinite(v));
+      return v;
+    };
+    const yellowAtMs = parseCue(yellowAtInput);
+    const redAtMs = parseCue(redAtInput);
+    if (Number.isNaN(yellowAtMs) || Number.isNaN(redAtMs)) return;
+
+    send("setCues", { yellowAtMs, redAtMs });
+    lastThresholdEcho = "";
+    document.activeElement?.blur?.();
+    return;
+  }
+
+  const fraction = thresholdMode?.value === "fraction";
+  const parse = (el) => {
+    const raw = el?.value.trim() || "";
+    const v = fraction ? (/^\d+(\.\d+)?$/.test(raw) ? Number(raw) / 100 : NaN) : parseClock(raw);
+    el?.classList.toggle("input-error", !Number.isFinite(v));
+    return v;
+  };
+  const yellow = parse(yellowAtInput);
+  const red = parse(redAtInput);
+  if (!Number.isFinite(yellow) || !Number.isFinite(red)) return;
+
+  const side = state.mode === "chess" && thresholdSide?.value ? { side: thresholdSide.value } : {};
+  send(
+    "setThresholds",
+    fraction ? { ...side, yellowFrac: yellow, redFrac: red } : { ...side, yellowAtMs: yellow, redAtMs: red }
+  );
+  lastThresholdEcho = "";
+  document.activeElement?.blur?.();
+});
+
+// Agenda editor
+agendaPrevBtn?.addEventListener("click", () => send("previous"));
+agendaNextBtn?.addEventListener("click", () => send("next"));
+
+agendaForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const raw = agendaDuration?.value.trim() || "";
+  const durationMs = raw ? parseClock(raw) : DEFAULT_DURATION_MS;
+  if (!Number.isFinite(durationMs) || durationMs < 1000) {
+    agendaDuration?.classList.add("input-error");
+    return;
+  }
+  agendaDuration?.classList.remove("input-error");
+
+  send("agendaAdd", {
+    speakerName: agendaName?.value || "",
+    topic: agendaTopic?.value || "",
+    durationMs,
+  });
+  agendaForm.reset();
+  agendaName?.focus();
+});
+
+agendaList?.addEventListener("click", (e) => {
+  const b = e.target.closest?.("button[data-action]");
+  if (!b) return;
+  const { action, id } = b.dataset;
+  const index = Number(b.dataset.index);
+  if (action === "remove") send("agendaRemove", { id });
+  else if (action === "up") send("agendaMove", { id, toIndex: index - 1 });
+  else if (action === "down") send("agendaMove", { id, toIndex: index + 1 });
+});
+
+// Format templates
+formatForm?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  if (formatSelect?.value) send("loadFormat", { formatId: formatSelect.value });
+});
+formatFileBtn?.addEventListener("click", () => formatFile?.click());
+// user-defined template: the server validates it like the built-ins (errors show in the hint)
+formatFile?.addEventListener("change", async () => {
+  const file = formatFile.files?.[0];
+  formatFile.value = "";
+  if (!file) return;
+  try {
+    send("loadFormat", { format: JSON.parse(await file.text()) });
+  } catch {
+    if (formatNow) formatNow.textContent = `${file.name} is not valid JSON.`;
+  }
+});
+prepList?.addEventListener("click", (e) => {
+  const b = e.target.closest?.("button[data-action]");
+  const bankId = b?.closest(".prep-item")?.dataset.bankId;
+  if (!b || !bankId) return;
+  const { action } = b.dataset;
+  if (action === "use") send("prepStart", { bankId });
+  else if (action === "stop") send("prepStop", { bankId });
+  else if (action === "charge") send("prepAdjust", { bankId, deltaMs: -15_000 });
+  else if (action === "return") send("prepAdjust", { bankId, deltaMs: 15_000 });
+});
 
 if (timeInput) {
   timeInput.disabled = true;
@@ -404,6 +1393,20 @@ copyBtn?.addEventListener("click", async () => {
   } catch {}
 });
 
+// Download report: the log is control-only, and the token goes in a header, not the link
+downloadReport?.addEventListener("click", async (e) => {
+  e.preventDefault();
+  try {
+    const res = await fetch(downloadReport.href, { headers: { Authorization: `Bearer ${tokenFor(currentRoom)}` } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const url = URL.createObjectURL(await res.blob());
+    Object.assign(document.createElement("a"), { href: url, download: `speaker-timer-${currentRoom}.csv` }).click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    console.warn("[control] Could not download the report:", err?.message || err);
+  }
+});
+
 // Join flow
 joinBtn.onclick = () => {
   const room = roomInput.value.trim().toUpperCase() || randomRoom();
@@ -455,6 +1458,167 @@ document.addEventListener("keydown", (e) => {
   if (e.key === "Escape" && isPanelOpen()) closePanel();
 });
 
+// ---------- Keyboard shortcuts ----------
+// Single keys (rebindable in the help modal, saved per browser); they never fire while
+// typing in a field (isTypingContext) or with the help modal open.
+const SHORTCUTS_LS_KEY = "controlShortcuts";
+
+function adjustBy(deltaMs) {
+  if (canControl) send("adjustTime", { deltaMs });
+}
+
+const shortcuts = createShortcuts({
+  storageKey: SHORTCUTS_LS_KEY,
+  actions: [
+    {
+      id: "startPause",
+      label: "Start / pause",
+      key: "Space",
+      run: () => (state.status === "running" && !pauseBtn?.disabled ? pauseBtn : startBtn)?.click(),
+    },
+    { id: "plus30", label: "+30s", key: "ArrowUp", run: () => adjustBy(30_000) },
+    { id: "minus30", label: "−30s", key: "ArrowDown", run: () => adjustBy(-30_000) },
+    { id: "plus10", label: "+10s", key: "ArrowRight", run: () => adjustBy(10_000) },
+    { id: "minus10", label: "−10s", key: "ArrowLeft", run: () => adjustBy(-10_000) },
+    { id: "reset", label: "Reset", key: "R", run: () => resetBtn?.click() },
+    { id: "next", label: "Next speaker", key: "N", run: () => agendaNextBtn?.click() },
+    { id: "previous", label: "Previous speaker", key: "P", run: () => agendaPrevBtn?.click() },
+    { id: "undo", label: "Undo", key: "U", run: () => undoBtn?.click() },
+    { id: "help", label: "Help", key: "H", run: () => toggleHelp() },
+  ],
+});
+
+let rebinding = null; // action id waiting for its new key
+
+function renderShortcutTable() {
+  if (!shortcutTable) return;
+  shortcutTable.replaceChildren(
+    ...shortcuts.actions.map(({ id, label }) => {
+      const tr = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = label;
+      const key = document.createElement("td");
+      const kbd = document.createElement("kbd");
+      kbd.textContent = rebinding === id ? "Press a key…" : keyLabel(shortcuts.keyFor(id));
+      key.append(kbd);
+      const change = document.createElement("td");
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "button";
+      b.dataset.action = id;
+      b.textContent = rebinding === id ? "Cancel" : "Change";
+      change.append(b);
+      tr.append(name, key, change);
+      return tr;
+    })
+  );
+}
+
+shortcutTable?.addEventListener("click", (e) => {
+  const id = e.target.closest?.("button[data-action]")?.dataset.action;
+  if (!id) return;
+  rebinding = rebinding === id ? null : id;
+  renderShortcutTable();
+  shortcutTable.querySelector(`button[data-action="${id}"]`)?.focus();
+});
+shortcutReset?.addEventListener("click", () => {
+  shortcuts.resetAll();
+  rebinding = null;
+  renderShortcutTable();
+});
+
+// Help modal: focus moves in on open, stays inside (Tab wraps), and returns on close
+let helpReturnFocus = null;
+
+function isHelpOpen() {
+  return !!helpModal && !helpModal.hidden;
+}
+function openHelp() {
+  if (!helpModal || isHelpOpen()) return;
+  helpReturnFocus = document.activeElement;
+  renderShortcutTable();
+  helpModal.hidden = false;
+  if (helpBackdrop) helpBackdrop.hidden = false;
+  document.body.classList.add("no-scroll");
+  helpModal.querySelector(".modal-chrome")?.focus();
+}
+function closeHelp() {
+  if (!isHelpOpen()) return;
+  rebinding = null;
+  helpModal.hidden = true;
+  if (helpBackdrop) helpBackdrop.hidden = true;
+  document.body.classList.remove("no-scroll");
+  helpReturnFocus?.focus?.();
+  helpReturnFocus = null;
+}
+function toggleHelp() {
+  isHelpOpen() ? closeHelp() : openHelp();
+}
+
+function trapHelpFocus(e) {
+  const focusables = [
+    ...helpModal.querySelectorAll("button, a[href], input, select, textarea, [tabindex]:not([tabindex='-1'])"),
+  ].filter((el) => !el.disabled && el.offsetParent !== null);
+  if (!focusables.length) return;
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  if (e.shiftKey && (document.activeElement === first || !helpModal.contains(document.activeElement))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+helpLink?.addEventListener("click", (e) => {
+  e.preventDefault();
+  openHelp();
+});
+["helpClose", "helpClose2"].forEach((id) => document.getElementById(id)?.addEventListener("click", closeHelp));
+helpBackdrop?.addEventListener("click", closeHelp);
+helpModal?.addEventListener("click", (e) => {
+  if (e.target === helpModal) closeHelp(); // the dimmed area around the dialog
+});
+
+document.addEventListener("keydown", (e) => {
+  if (rebinding) {
+    if (e.key === "Tab") return;
+    e.preventDefault();
+    const key = e.key === "Escape" ? null : normalizeKey(e);
+    if (e.key !== "Escape" && !key) return; // not bindable (Shift, Alt, ...): keep waiting
+    if (key) shortcuts.setKey(rebinding, key);
+    const id = rebinding;
+    rebinding = null;
+    renderShortcutTable();
+    shortcutTable?.querySelector(`button[data-action="${id}"]`)?.focus();
+    return;
+  }
+
+  if (isHelpOpen()) {
+    if (e.key === "Escape") closeHelp();
+    else if (e.key === "Tab") trapHelpFocus(e);
+    else if (!isTypingContext(e) && normalizeKey(e) === shortcuts.keyFor("help")) toggleHelp();
+    return;
+  }
+
+  if (isTypingContext(e)) return;
+  if (e.repeat && !e.key.startsWith("Arrow")) return; // holding Space mustn't toggle start/pause
+  shortcuts.handleKeydown(e);
+});
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (text fields keep their own undo)
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+  const key = e.key.toLowerCase();
+  const redo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+  if (!redo && !(key === "z" && !e.shiftKey)) return;
+  e.preventDefault();
+  if (!canControl) return;
+  send(redo ? "redo" : "undo");
+});
+
 // Loop
 function tick() {
   updateUI();
@@ -462,11 +1626,14 @@ function tick() {
 }
 
 // Init
+mountDebugOverlay(timeSync, { visible: qs.get("debug") === "1" });
+
 (function init() {
   const room = (qs.get("room") || randomRoom()).toUpperCase();
   roomInput.value = room;
   updateDisplayLink(room);
   joinBtn.click();
+  loadFormatOptions();
 
   syncedBaseRemainingMs = DEFAULT_DURATION_MS;
   syncedReceivedAt = performance.now();
@@ -1,5 +1,9 @@
-// display.js (authoritative-deadline client; fixed thresholds; digit-only heartbeat (vanish/appear, no glow);
-// 0:00 uses SAME one-shot heartbeat; end alarm w/ reset-stop + fullscreen-safe overlay + 2.5s alarm limit)
+// display.js (authoritative-deadline client; server-provided thresholds; digit-only heartbeat (vanish/appear, no glow);
+// 0:00 uses SAME one-shot heartbeat; per-room sound cues (audiocues.js) w/ reset-stop + fullscreen-safe overlay)
+
+import { createTimeSync, mountDebugOverlay } from "./timesync.js";
+import { createCuePlayer } from "./audiocues.js";
+import { createReconnectingSocket } from "./reconnect.js";
 
 const qs = new URLSearchParams(location.search);
 
@@ -10,37 +14,73 @@ let els = {
   subline: null,
   stage: null,
   expiredMsg: null,
+  chess: null,
+  preroll: null,
+  targetLine: null,
+  operatorMsg: null,
+  progressRing: null,
+  progressBar: null,
+  linkStatus: null,
 };
 
 // Local view state (render-only)
 let state = {
   roomId: "DEMO",
+  mode: "countdown",
   status: "idle",
   durationMs: 180_000,
   metadata: { speakerName: "", topic: "" },
   yellowAtMs: undefined,
   redAtMs: undefined,
   deadlineMs: null,
+  startedAtMs: null, // stopwatch rooms
   remainingMs: 180_000,
+  overtime: false,
+  cues: { yellowAtMs: null, redAtMs: null },
+  // chess rooms: both sides (server-computed remainingMs + thresholds); the
+  // room-level deadline/remaining fields above mirror the active one
+  clocks: null,
+  activeSide: "a",
+  startAt: null, // scheduled start (server epoch ms)
+  target: null, // deadline rooms: { atMs, time (venue clock), show }
+  message: null, // operator note: { id, text, priority, expiresAt }
+  progress: "off", // room's progress visualization: "off" | "ring" | "bar"
 };
 
 let syncedBaseRemainingMs = state.remainingMs;
+let syncedBaseElapsedMs = 0; // stopwatch rooms
 let syncedReceivedAt = performance.now();
 let lastPhase = null;
 
+// Server state version of the last applied snapshot (see onKeepalive); reset per socket
+let lastVersion = -1;
+
 // Track transition into/out of expired state (edge-trigger)
 let wasExpired = false;
 
-/**
- * Socket/reconnect guard:
- * Ensure only ONE websocket + ONE reconnect timer exist at a time.
- */
-let wsRef = null;
-let reconnectTimer = null;
-let reconnectRoom = null;
+// Chess rooms: per-side render guards
+const chessRendered = { a: null, b: null };
+
+// The room socket (one per page, reconnects by itself; see reconnect.js)
+let socket = null;
+
+// Link health: the countdown is only as good as the last word from the server. Any
+// message counts (keepalives arrive every 5 s), so silence means a dead or stuck link.
+const STALE_MS = secondsParam("stale", 12) * 1000; // -> subtle "offline" pill
+const UNTRUSTED_MS = secondsParam("untrusted", 30) * 1000; // -> the time may be wrong
+let lastContactAt = null; // performance.now() of the last server message (null = never)
+let reconnectAttempts = 0; // since the last snapshot (see reconnect.js)
+let reconnected = false; // next snapshot follows a reconnect: reconcile (see startCorrection)
+
+// On reconcile the digits glide to the server's time instead of jumping
+const CORRECTION_MS = 800;
+const MIN_CORRECTION_MS = 250; // smaller differences aren't worth animating
+const MAX_CORRECTION_MS = 10 * 60_000; // bigger ones are a different timer: just snap
+let correction = null; // { kind: "remaining" | "elapsed", deltaMs, startedAt }
 
-// Track expired banner visibility so alarm plays ONCE per "show" cycle
-let expiredShown = false;
+// Timer cues are rescheduled this often from the render loop (clock corrections)
+const CUE_RESYNC_MS = 500;
+let lastCueSyncAt = 0;
 
 // Render guards (avoid DOM writes every frame)
 let lastRenderedSec = null;
@@ -49,6 +89,16 @@ let lastRenderedExpired = null;
 // CSS heartbeat duration: 2600ms. Give it buffer.
 const HEARTBEAT_KILL_MS = 3800;
 
+// Clock sync (RTT + offset vs. server) so we can account for how old a snapshot is on arrival
+const timeSync = createTimeSync({
+  send: (msg) => {
+    socket?.send(msg);
+  },
+});
+// Estimates this far off are more likely a bad sample than a real delay; ignore them
+const MAX_SNAPSHOT_AGE_MS = 10_000;
+let debugOverlay = null;
+
 // ---------- Typing guard ----------
 function isTypingContext(e) {
   if (e?.metaKey || e?.ctrlKey || e?.altKey) return true;
@@ -110,73 +160,65 @@ const flash = {
   },
 };
 
-// ---------- End-of-timer alarm ----------
-const alarm = {
-  audio: null,
-  armed: false,
-  hadPositive: false,
-  ensureAudio() {
-    if (this.audio) return;
-    this.audio = new Audio("/audio/alarm.mp3");
-    this.audio.preload = "auto";
-    this.audio.volume = 0.35;
-  },
-  arm() {
-    if (this.armed) return;
-    this.ensureAudio();
-    try {
-      const p = this.audio.play();
-      if (p && typeof p.then === "function") {
-        p.then(() => {
-          this.audio.pause();
-          this.audio.currentTime = 0;
-          this.armed = true;
-        }).catch(() => {});
-      } else {
-        this.armed = true;
-      }
-    } catch {}
+// ---------- Sound cues ----------
+// The room picks the cue set / volume / mute (snapshot `audio`); a click or key arms it
+const audioCues = createCuePlayer({
+  onArmed: () => {
+    sendHello();
+    syncCues();
   },
-  playLimited() {
-    // Plays every time the "expired" message appears (once per show cycle),
-    // but still requires a user gesture to arm audio.
-    if (!this.armed) return;
-
-    this.ensureAudio();
-    try {
-      // Restart from the top cleanly
-      this.stop();
-      this.audio.currentTime = 0;
-
-      const p = this.audio.play();
-      const stopAfter = () => {
-        setTimeout(() => this.stop(), 2500);
-      };
-
-      if (p && typeof p.then === "function") {
-        p.then(stopAfter).catch(() => {});
-      } else {
-        stopAfter();
-      }
-    } catch {}
-  },
-  stop() {
-    if (!this.audio) return;
-    try {
-      this.audio.pause();
-      this.audio.currentTime = 0;
-    } catch {}
-  },
-  reset() {
-    this.hadPositive = false;
-    // keep armed state; user gesture arms it
-  },
-};
+});
+
+// The cues ahead of a running timer, on the server clock: [{ id, cue, at }]. Derived from
+// the snapshot's deadline (not from the frame loop), so every display schedules the same
+// moments; audioCues.sync() turns them into Web Audio start times.
+function cuePlan() {
+  if (state.status !== "running") return [];
+
+  if (state.mode === "stopwatch") {
+    if (typeof state.startedAtMs !== "number") return [];
+    return ["yellow", "red"]
+      .filter((cue) => typeof state.cues?.[`${cue}AtMs`] === "number")
+      .map((cue) => ({ id: cue, cue, at: state.startedAtMs + state.cues[`${cue}AtMs`] }));
+  }
+
+  const deadline = state.deadlineMs;
+  if (typeof deadline !== "number") return [];
+  // chess: only a side running out (per side, so a switch re-arms it)
+  if (state.mode === "chess") return [{ id: `zero:${state.activeSide}`, cue: "zero", at: deadline }];
+
+  const plan = [];
+  if (typeof state.yellowAtMs === "number") plan.push({ id: "yellow", cue: "yellow", at: deadline - state.yellowAtMs });
+  if (typeof state.redAtMs === "number") plan.push({ id: "red", cue: "red", at: deadline - state.redAtMs });
+  plan.push({ id: "zero", cue: "zero", at: deadline });
+
+  // overtime: the interval just passed plus the next few (a throttled tab may not resync for a while)
+  const every = audioCues.overtimeEveryMs();
+  if (state.overtime && every) {
+    const passed = Math.max(0, Math.floor((timeSync.serverNow() - deadline) / every));
+    for (let k = Math.max(1, passed); k <= passed + 3; k++) {
+      plan.push({ id: `overtime:${k}`, cue: "overtime", at: deadline + k * every });
+    }
+  }
+  return plan;
+}
+
+function syncCues() {
+  lastCueSyncAt = performance.now();
+  audioCues.sync(cuePlan(), timeSync.serverNow());
+}
 
 // ---------- Utils ----------
-function fmt(ms) {
+// `hours`: render h:mm:ss from one hour up (stopwatch); countdowns stay MM:SS
+function fmt(ms, { hours = false } = {}) {
   ms = Math.max(0, Math.abs(ms));
   const totalSeconds = Math.floor(ms / 1000);
+  if (hours && totalSeconds >= 3600) {
+    const h = Math.floor(totalSeconds / 3600);
+    const mm = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
+    const ss = String(totalSeconds % 60).padStart(2, "0");
+    return `${h}:${mm}:${ss}`;
+  }
   const m = Math.floor(totalSeconds / 60);
   const r = totalSeconds % 60;
   const mm = m >= 10 ? String(m).padStart(2, "0") : String(m);
@@ -184,11 +226,116 @@ function fmt(ms) {
   return `${mm}:${rr}`;
 }
 
+// Signed: goes negative past zero when the room has overtime enabled
+function liveSignedRemainingMs() {
+  // an idle deadline room still counts down to its target (and glides like the rest)
+  if (state.mode === "deadline" && state.status === "idle" && state.target) {
+    return Math.max(0, state.target.atMs - timeSync.serverNow() + correctionMs("remaining"));
+  }
+  const nowMono = performance.now();
+  const base =
+    state.status === "running" ? syncedBaseRemainingMs - (nowMono - syncedReceivedAt) : syncedBaseRemainingMs;
+  return base + correctionMs("remaining");
+}
+
 function liveRemainingMs() {
+  return Math.max(0, liveSignedRemainingMs());
+}
+
+function liveElapsedMs() {
   const nowMono = performance.now();
-  return state.status === "running"
-    ? Math.max(0, syncedBaseRemainingMs - (nowMono - syncedReceivedAt))
-    : Math.max(0, syncedBaseRemainingMs);
+  const base = state.status === "running" ? syncedBaseElapsedMs + (nowMono - syncedReceivedAt) : syncedBaseElapsedMs;
+  return Math.max(0, base + correctionMs("elapsed"));
+}
+
+// What's left of the reconcile glide (ease-out), added on top of the server's time
+function correctionMs(kind) {
+  if (correction?.kind !== kind) return 0;
+  const t = (performance.now() - correction.startedAt) / CORRECTION_MS;
+  if (t >= 1) {
+    correction = null;
+    return 0;
+  }
+  return correction.deltaMs * (1 - t) ** 3;
+}
+
+// `shownMs`: what the screen showed before the snapshot was applied
+function startCorrection(kind, shownMs) {
+  correction = null;
+  const deltaMs = shownMs - (kind === "elapsed" ? liveElapsedMs() : liveSignedRemainingMs());
+  if (Math.abs(deltaMs) < MIN_CORRECTION_MS || Math.abs(deltaMs) > MAX_CORRECTION_MS) return;
+  if (matchMedia("(prefers-reduced-motion: reduce)").matches) return;
+  correction = { kind, deltaMs, startedAt: performance.now() };
+}
+
+// How old a snapshot stamped `serverNow` already is (≈ one-way network delay).
+// 0 until the first clock-sync round trip lands (= the old behaviour).
+function snapshotAgeMs(serverNow) {
+  if (!timeSync.ready) return 0;
+  const age = timeSync.serverNow() - serverNow;
+  return Math.abs(age) < MAX_SNAPSHOT_AGE_MS ? age : 0;
+}
+
+// Re-anchor the live projection of a running room to a fresh server timestamp,
+// so local drift doesn't build up between (now rare) snapshots.
+function rebaseline(serverNow) {
+  if (state.status !== "running") return;
+  const ageMs = snapshotAgeMs(serverNow);
+
+  if (state.mode === "stopwatch") {
+    if (typeof state.startedAtMs !== "number") return;
+    syncedBaseElapsedMs = Math.max(0, serverNow + ageMs - state.startedAtMs);
+  } else {
+    if (typeof state.deadlineMs !== "number") return;
+    const base = state.deadlineMs - serverNow - ageMs;
+    syncedBaseRemainingMs = state.overtime ? base : Math.max(0, base);
+  }
+  syncedReceivedAt = performance.now();
+}
+
+// Keepalive: same version => nothing missed, just re-anchor; otherwise resync
+function onKeepalive(payload) {
+  if (!payload || typeof payload.version !== "number") return;
+  if (payload.version !== lastVersion) {
+    socket?.send({ type: "requestSnapshot" });
+    return;
+  }
+  if (typeof payload.serverNow === "number") rebaseline(payload.serverNow);
+}
+
+function secondsParam(name, fallback) {
+  const v = Number(qs.get(name));
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+// "ok" | "stale" | "untrusted", from how long the server has been silent
+function linkLevel() {
+  if (lastContactAt === null) return "ok";
+  const silentMs = performance.now() - lastContactAt;
+  if (silentMs >= UNTRUSTED_MS) return "untrusted";
+  return silentMs >= STALE_MS ? "stale" : "ok";
+}
+
+let lastLinkText = null;
+function renderLinkStatus() {
+  if (!els.linkStatus) return;
+  const level = linkLevel();
+  let text = "";
+  if (level !== "ok") {
+    const ago = fmt(performance.now() - lastContactAt, { hours: true });
+    const tries = reconnectAttempts ? ` · retry ${reconnectAttempts}` : "";
+    text =
+      level === "untrusted"
+        ? `Time may be out of date · last update ${ago} ago`
+        : `Offline ${ago}${tries}`;
+  }
+  if (text === lastLinkText) return;
+  lastLinkText = text;
+
+  els.linkStatus.textContent = text;
+  els.linkStatus.hidden = !text;
+  els.linkStatus.classList.toggle("is-untrusted", level === "untrusted");
+  els.stage?.classList.toggle("is-untrusted", level === "untrusted");
 }
 
 function ensureStatusMsg() {
@@ -210,15 +357,24 @@ function ensureStatusMsg() {
   return fallback;
 }
 
-function computePhase(remMs) {
-  const yellowAt = typeof state.yellowAtMs === "number" ? state.yellowAtMs : 60_000;
-  const redAt = typeof state.redAtMs === "number" ? state.redAtMs : 30_000;
+// `t`: anything with yellowAtMs/redAtMs (the room, or one chess clock)
+function computePhase(remMs, t = state) {
+  const yellowAt = typeof t.yellowAtMs === "number" ? t.yellowAtMs : 60_000;
+  const redAt = typeof t.redAtMs === "number" ? t.redAtMs : 30_000;
   if (remMs <= 0) return "red";
   if (remMs <= redAt) return "red";
   if (remMs <= yellowAt) return "yellow";
   return "green";
 }
 
+// Stopwatch cues are ELAPSED times; either may be unset (null)
+function computeStopwatchPhase(elapsedMs) {
+  const { yellowAtMs, redAtMs } = state.cues || {};
+  if (typeof redAtMs === "number" && elapsedMs >= redAtMs) return "red";
+  if (typeof yellowAtMs === "number" && elapsedMs >= yellowAtMs) return "yellow";
+  return "green";
+}
+
 function applyPhase(phase, suppressHeartbeat = false) {
   if (!els.count) return;
   if (phase === lastPhase) return;
@@ -228,6 +384,7 @@ function applyPhase(phase, suppressHeartbeat = false) {
   if (phase === "green") els.count.classList.add("phase-green");
   else if (phase === "yellow") els.count.classList.add("phase-yellow");
   else if (phase === "red") els.count.classList.add("phase-red");
+  else if (phase === "overtime") els.count.classList.add("phase-red", "overtime");
 
   if (!suppressHeartbeat) {
     // Heartbeat on phase entry (vanish/appear only)
@@ -254,34 +411,232 @@ function renderSubline() {
   els.subline.style.display = els.subline.textContent ? "block" : "none";
 }
 
+// "Ends at 11:45" under the countdown (deadline rooms). The room decides (target.show);
+// ?target=1 / ?target=0 on the display URL overrides it for this screen.
+function renderTargetLine() {
+  if (!els.targetLine) return;
+  const forced = qs.get("target");
+  const wanted = forced === "1" || (forced !== "0" && state.target?.show !== false);
+  const show = wanted && state.mode === "deadline" && !!state.target;
+  // venue clock, so it matches the printed agenda whatever zone this screen is in
+  els.targetLine.textContent = show ? `Ends at ${state.target.time.replace(/:00$/, "")}` : "";
+  els.targetLine.hidden = !show;
+}
+
+// Operator note; hidden locally the moment it expires (the server's clear follows)
+let renderedMessageKey = null;
+function renderOperatorMsg() {
+  if (!els.operatorMsg) return;
+  const m = state.message;
+  const live = !!m && !(typeof m.expiresAt === "number" && timeSync.serverNow() >= m.expiresAt);
+  const key = live ? `${m.id}|${m.priority}` : "";
+  if (key === renderedMessageKey) return;
+  renderedMessageKey = key;
+
+  els.operatorMsg.className = `operator-msg msg-${live ? m.priority : "info"}`;
+  els.operatorMsg.textContent = live ? m.text : "";
+  els.operatorMsg.hidden = !live;
+}
+
 function resetVisualAndAlarm() {
   flash.resetFlags();
 
-  alarm.stop();
-  alarm.reset();
-  expiredShown = false;
+  audioCues.stop();
 
   wasExpired = false;
 
   // reset render guards so the UI snaps cleanly on next tick
   lastRenderedSec = null;
   lastRenderedExpired = null;
+  chessRendered.a = chessRendered.b = null;
 
   if (els.expiredMsg) els.expiredMsg.hidden = true;
 }
 
 // ---------- Loop ----------
-function tick() {
+// Stopwatch rooms: elapsed time counts up; cues drive the phase; no expiry/zero cue
+function renderStopwatch() {
+  const elapsed = liveElapsedMs();
+  const sec = Math.floor(elapsed / 1000);
+
+  applyPhase(computeStopwatchPhase(elapsed), state.status === "idle");
+
+  if (els.count && sec !== lastRenderedSec) {
+    lastRenderedSec = sec;
+    els.count.textContent = fmt(sec * 1000, { hours: true });
+  }
+}
+
+// Chess rooms: split screen, only the active side counts down
+function renderChess() {
+  if (!els.chess || !state.clocks) return;
+
+  els.chess.querySelectorAll(".chess-side").forEach((pane) => {
+    const side = pane.dataset.side;
+    const clock = state.clocks[side];
+    if (!clock) return;
+
+    const isActive = side === state.activeSide;
+    const rem = isActive ? liveRemainingMs() : Math.max(0, clock.remainingMs || 0);
+    const sec = Math.floor(rem / 1000);
+    const countEl = pane.querySelector(".chess-count");
+    const labelEl = pane.querySelector(".chess-label");
+
+    pane.classList.toggle("is-active", isActive);
+    if (labelEl && labelEl.textContent !== clock.label) labelEl.textContent = clock.label;
+
+    const phase = computePhase(rem, clock);
+    if (countEl && (sec !== chessRendered[side]?.sec || phase !== chessRendered[side]?.phase)) {
+      chessRendered[side] = { sec, phase };
+      countEl.textContent = fmt(sec * 1000);
+      countEl.classList.remove("phase-green", "phase-yellow", "phase-red");
+      countEl.classList.add(`phase-${phase}`);
+    }
+  });
+}
+
+// #count vs. the chess split screen
+function applyLayout() {
+  const chess = state.mode === "chess";
+  if (els.chess) els.chess.hidden = !chess;
+  if (els.count) els.count.hidden = chess;
+}
+
+// "Starts in m:ss" while a scheduled start is pending (server clock, so every
+// display flips together with the server's start)
+let lastPrerollText = null;
+function renderPreroll() {
+  if (!els.preroll) return;
+  const pending = typeof state.startAt === "number" && state.status !== "running";
+  const sec = pending ? Math.max(0, Math.ceil((state.startAt - timeSync.serverNow()) / 1000)) : 0;
+  const text = pending ? `Starts in ${fmt(sec * 1000, { hours: true })}` : "";
+  if (text === lastPrerollText) return;
+  lastPrerollText = text;
+  els.preroll.textContent = text;
+  els.preroll.hidden = !pending;
+}
+
+// ---------- Progress ring / bar ----------
+// Per frame only the fill moves (one attribute / transform) and the phase attribute
+// flips; threshold marks are rebuilt only when the duration or thresholds change.
+const PROGRESS_STYLES = ["off", "ring", "bar"];
+const RING_R = 46;
+const RING_C = 2 * Math.PI * RING_R;
+const progressParam = PROGRESS_STYLES.includes(qs.get("progress")) ? qs.get("progress") : null;
+let progressView = { style: null, marksKey: "", frac: null, phase: null };
+
+// The ring/bar shows time left out of durationMs, so only for rooms that count down
+function progressStyle() {
+  if (state.mode !== "countdown" && state.mode !== "deadline") return "off";
+  return progressParam ?? (PROGRESS_STYLES.includes(state.progress) ? state.progress : "off");
+}
+
+function renderProgressMarks(el, style, durationMs) {
+  const marks = el.querySelector(".progress-marks");
+  if (!marks) return;
+  const ns = style === "ring" ? "http://www.w3.org/2000/svg" : "http://www.w3.org/1999/xhtml";
+  const nodes = [
+    ["yellow", state.yellowAtMs],
+    ["red", state.redAtMs],
+  ]
+    .filter(([, atMs]) => typeof atMs === "number" && atMs > 0 && atMs < durationMs)
+    .map(([phase, atMs]) => {
+      const frac = atMs / durationMs;
+      if (style === "bar") {
+        const span = document.createElementNS(ns, "span");
+        span.className = `mark-${phase}`;
+        span.style.left = `${frac * 100}%`;
+        return span;
+      }
+      const angle = 2 * Math.PI * frac;
+      const line = document.createElementNS(ns, "line");
+      line.setAttribute("class", `mark-${phase}`);
+      line.setAttribute("x1", 50 + (RING_R - 4) * Math.cos(angle));
+      line.setAttribute("y1", 50 + (RING_R - 4) * Math.sin(angle));
+      line.setAttribute("x2", 50 + (RING_R + 4) * Math.cos(angle));
+      line.setAttribute("y2", 50 + (RING_R + 4) * Math.sin(angle));
+      return line;
+    });
+  marks.replaceChildren(...nodes);
+}
+
+function isActiveStatus() {
+  return state.status === "running" || state.status === "paused" || state.status === "finished";
+}
+
+// Overtime (opt-in per room): count up past zero as +M:SS.
+// 0:00 stays on screen for its full second, then +0:01, +0:02, ...
+function liveOvertimeSec() {
+  if (!state.overtime || !isActiveStatus()) return 0;
+  return Math.floor(Math.max(0, -liveSignedRemainingMs()) / 1000);
+}
+
+function renderProgress() {
+  const style = progressStyle();
+  if (style !== progressView.style) {
+    progressView = { style, marksKey: "", frac: null, phase: null };
+    if (els.progressRing) els.progressRing.hidden = style !== "ring";
+    if (els.progressBar) els.progressBar.hidden = style !== "bar";
+  }
+  const el = style === "ring" ? els.progressRing : style === "bar" ? els.progressBar : null;
+  if (!el) return;
+
+  const durationMs = Math.max(1, Number(state.durationMs) || 0);
+  const marksKey = `${durationMs}|${state.yellowAtMs}|${state.redAtMs}`;
+  if (marksKey !== progressView.marksKey) {
+    progressView.marksKey = marksKey;
+    renderProgressMarks(el, style, durationMs);
+  }
+
   const rem = liveRemainingMs();
+  const frac = Math.round(Math.min(1, Math.max(0, rem / durationMs)) * 10_000) / 10_000;
+  if (frac !== progressView.frac) {
+    progressView.frac = frac;
+    const fill = el.querySelector(".progress-fill");
+    if (style === "ring") {
+      fill?.setAttribute("stroke-dasharray", `${RING_C}`);
+      fill?.setAttribute("stroke-dashoffset", `${RING_C * (1 - frac)}`);
+    } else if (fill) {
+      fill.style.transform = `scaleX(${frac})`;
+    }
+  }
+
+  // same colour as the count, overtime included
+  const phase = liveOvertimeSec() > 0 ? "overtime" : computePhase(rem);
+  if (phase !== progressView.phase) {
+    progressView.phase = phase;
+    el.dataset.phase = phase;
+  }
+}
 
-  if (state.status === "running" && rem > 0) alarm.hadPositive = true;
+function tick() {
+  if (performance.now() - lastCueSyncAt >= CUE_RESYNC_MS) syncCues();
+  renderLinkStatus();
+  renderPreroll();
+  renderProgress();
+  renderOperatorMsg();
+
+  if (state.mode === "stopwatch") {
+    renderStopwatch();
+    requestAnimationFrame(tick);
+    return;
+  }
+  if (state.mode === "chess") {
+    renderChess();
+    requestAnimationFrame(tick);
+    return;
+  }
+
+  const rem = liveRemainingMs();
 
-  const activeStatus =
-    state.status === "running" || state.status === "paused" || state.status === "finished";
+  const activeStatus = isActiveStatus();
 
   // Compute seconds first so 0:00 heartbeat can be tied to the visible flip
   const sec = Math.max(0, Math.floor(rem / 1000));
 
+  const overtimeSec = liveOvertimeSec();
+  const inOvertime = overtimeSec > 0;
+
   // OPTION A: 0:00 one-shot heartbeat on the exact second transition to 0
   const flipToZero =
     activeStatus &&
@@ -290,7 +645,7 @@ function tick() {
     lastRenderedSec > 0 &&
     sec === 0;
 
-  // Expired message + alarm timing stays tied to true expiry (rem <= 0)
+  // Expired message stays tied to true expiry (rem <= 0); the zero cue is scheduled (see cuePlan)
   const showExpired = rem <= 0 && activeStatus;
 
   // Track true expired edge (for cleanup / state)
@@ -302,15 +657,6 @@ function tick() {
     flash.resetFlags();
   }
 
-  // ✅ Play sound each time the expired message APPEARS (once per show cycle)
-  if (showExpired && !expiredShown) {
-    expiredShown = true;
-    alarm.playLimited();
-  }
-  if (!showExpired && expiredShown) {
-    expiredShown = false;
-  }
-
   // Render expired banner ONLY on change (avoid repaint spam)
   if (els.expiredMsg && showExpired !== lastRenderedExpired) {
     lastRenderedExpired = showExpired;
@@ -319,15 +665,17 @@ function tick() {
   }
 
   // Suppress phase-entry heartbeat on the exact 0:00 flip (prevents double-firing)
-  applyPhase(computePhase(rem), flipToZero || showExpired);
+  applyPhase(inOvertime ? "overtime" : computePhase(rem), flipToZero || showExpired);
 
   // Render timer text ONLY when the displayed second changes (premium + crisp)
-  if (els.count && sec !== lastRenderedSec) {
+  // (overtime seconds are tracked as negatives so they never collide with the countdown)
+  const renderSec = inOvertime ? -overtimeSec : sec;
+  if (els.count && renderSec !== lastRenderedSec) {
     // Fire the 0:00 heartbeat exactly when the UI flips to 0:00
     if (flipToZero) flash.trigger();
 
-    lastRenderedSec = sec;
-    els.count.textContent = fmt(sec * 1000);
+    lastRenderedSec = renderSec;
+    els.count.textContent = fmt(renderSec * 1000);
   }
 
   requestAnimationFrame(tick);
@@ -343,146 +691,166 @@ function wsUrlForRoom(room) {
   );
 }
 
-function clearReconnect() {
-  if (reconnectTimer) {
-    clearTimeout(reconnectTimer);
-    reconnectTimer = null;
-  }
-}
-
-function scheduleReconnect(room) {
-  clearReconnect();
-  reconnectRoom = room;
+// "Reconnecting in 4s…" while reconnect.js waits out its backoff
+function showRetry({ attempt, inMs }) {
+  reconnectAttempts = attempt;
   const badge = ensureStatusMsg();
-  badge.textContent = "Reconnecting…";
+  badge.textContent = inMs > 0 ? `Reconnecting in ${Math.ceil(inMs / 1000)}s…` : "Reconnecting…";
   badge.style.display = "block";
-
-  reconnectTimer = setTimeout(() => {
-    reconnectTimer = null;
-    connect(reconnectRoom);
-  }, 2500);
 }
 
-function cleanupSocket() {
-  if (!wsRef) return;
-  try {
-    wsRef.onopen = null;
-    wsRef.onclose = null;
-    wsRef.onmessage = null;
-    wsRef.onerror = null;
-  } catch {}
-  try {
-    if (wsRef.readyState === WebSocket.OPEN || wsRef.readyState === WebSocket.CONNECTING) {
-      wsRef.close();
-    }
-  } catch {}
-  wsRef = null;
+// Details for the operator's presence list: ?label=Projector names this screen
+function sendHello() {
+  socket?.send({
+    type: "hello",
+    payload: { label: qs.get("label") || "", userAgent: navigator.userAgent, audioArmed: audioCues.armed },
+  });
 }
 
 function connect(room) {
-  // Guard: if we already have a live/connecting socket for this room, don't stack another
-  if (wsRef && (wsRef.readyState === WebSocket.OPEN || wsRef.readyState === WebSocket.CONNECTING)) {
-    return;
-  }
+  socket = createReconnectingSocket({
+    label: "display",
+    url: () => wsUrlForRoom(room),
+    onOpen,
+    onMessage,
+    onClose: () => {
+      connected = false;
+      timeSync.stop();
+    },
+    onRetry: showRetry,
+  });
+  socket.connect();
+}
 
-  clearReconnect();
-  cleanupSocket();
+function onOpen() {
+  connected = true;
+  lastVersion = -1;
+  reconnected = lastContactAt !== null;
+  timeSync.start();
+  sendHello();
+  const badge = ensureStatusMsg();
+  badge.textContent = "";
+  badge.style.display = "none";
+}
 
-  let url;
+function onMessage(ev) {
+  let msg;
   try {
-    url = wsUrlForRoom(room);
-  } catch (e) {
-    console.error("[display] Invalid WS URL:", e);
+    msg = JSON.parse(ev.data);
+  } catch {
+    console.warn("[display] Non-JSON message:", ev.data);
     return;
   }
 
-  const ws = new WebSocket(url);
-  wsRef = ws;
+  const { type, payload } = msg || {};
+  lastContactAt = performance.now();
+  if (type === "timeSync") {
+    timeSync.handleReply(payload);
+    // a better offset estimate moves the scheduled cues (also while rAF is throttled)
+    syncCues();
+    return;
+  }
+  if (type === "keepalive") {
+    onKeepalive(payload);
+    return;
+  }
+  // Operator's "Test sound": one cue, or the whole set when none is named
+  if (type === "testSound") {
+    // a cue this display's set lacks (settings not caught up yet): the whole set beats silence
+    if (!payload?.cue || !audioCues.play(payload.cue)) audioCues.preview();
+    return;
+  }
+  if (type !== "snapshot" || !payload || typeof payload !== "object") return;
 
-  ws.onopen = () => {
-    connected = true;
-    const badge = ensureStatusMsg();
-    badge.textContent = "";
-    badge.style.display = "none";
-  };
-
-  ws.onclose = () => {
-    connected = false;
-    // If we intentionally cleaned up, don't schedule.
-    if (wsRef !== ws) return;
-    wsRef = null;
-    scheduleReconnect(room);
-  };
-
-  ws.onmessage = (ev) => {
-    let msg;
-    try {
-      msg = JSON.parse(ev.data);
-    } catch {
-      console.warn("[display] Non-JSON message:", ev.data);
-      return;
-    }
+  // Snapshots are full state: a newer one is always safe to apply, an older one is stale
+  if (typeof payload.version === "number") {
+    if (payload.version < lastVersion) return;
+    lastVersion = payload.version;
+  }
 
-    const { type, payload } = msg || {};
-    if (type !== "snapshot" || !payload || typeof payload !== "object") return;
-
-    const prevStatus = state.status;
-
-    state.roomId = payload.roomId ?? state.roomId;
-    state.status = payload.status ?? state.status;
-    state.durationMs = typeof payload.durationMs === "number" ? payload.durationMs : state.durationMs;
-    state.metadata = payload.metadata ?? state.metadata;
-
-    // Server now provides these; still tolerate missing
-    state.yellowAtMs = typeof payload.yellowAtMs === "number" ? payload.yellowAtMs : state.yellowAtMs;
-    state.redAtMs = typeof payload.redAtMs === "number" ? payload.redAtMs : state.redAtMs;
-
-    const serverNow = typeof payload.serverNow === "number" ? payload.serverNow : Date.now();
-    const hasDeadline = typeof payload.deadlineMs === "number";
-    const nowMono = performance.now();
-
-    if (state.status === "running" && hasDeadline) {
-      const base = payload.deadlineMs - serverNow;
-      syncedBaseRemainingMs = Math.max(0, base);
-      syncedReceivedAt = nowMono;
-      state.deadlineMs = payload.deadlineMs;
-      state.remainingMs = undefined;
-    } else {
-      const rem = typeof payload.remainingMs === "number" ? payload.remainingMs : 0;
-      syncedBaseRemainingMs = Math.max(0, rem);
-      syncedReceivedAt = nowMono;
-      state.deadlineMs = null;
-      state.remainingMs = rem;
-    }
+  const prevStatus = state.status;
+  const prevMode = state.mode;
+  // after an outage, remember what the screen showed so the digits can glide to the truth
+  const reconcile = reconnected || !!lastLinkText;
+  const shownMs = prevMode === "stopwatch" ? liveElapsedMs() : liveSignedRemainingMs();
+  reconnected = false;
+  reconnectAttempts = 0;
+
+  state.roomId = payload.roomId ?? state.roomId;
+  state.status = payload.status ?? state.status;
+  state.durationMs = typeof payload.durationMs === "number" ? payload.durationMs : state.durationMs;
+  state.metadata = payload.metadata ?? state.metadata;
+  // chess clocks always stop at 0
+  state.overtime = payload.overtime === true && payload.mode !== "chess";
+  state.mode = ["stopwatch", "chess", "deadline"].includes(payload.mode) ? payload.mode : "countdown";
+  state.cues = payload.cues ?? state.cues;
+  state.clocks = payload.clocks ?? null;
+  state.activeSide = payload.activeSide === "b" ? "b" : "a";
+  state.startedAtMs = typeof payload.startedAtMs === "number" ? payload.startedAtMs : null;
+  state.startAt = typeof payload.startAt === "number" ? payload.startAt : null;
+  state.target = typeof payload.target?.atMs === "number" ? payload.target : null;
+  state.message = payload.message?.text ? payload.message : null;
+  state.progress = payload.progress ?? state.progress;
+  audioCues.configure(payload.audio);
+
+  // Server now provides these; still tolerate missing
+  state.yellowAtMs = typeof payload.yellowAtMs === "number" ? payload.yellowAtMs : state.yellowAtMs;
+  state.redAtMs = typeof payload.redAtMs === "number" ? payload.redAtMs : state.redAtMs;
+
+  const serverNow = typeof payload.serverNow === "number" ? payload.serverNow : Date.now();
+  const hasDeadline = typeof payload.deadlineMs === "number";
+  const nowMono = performance.now();
+  const ageMs = state.status === "running" ? snapshotAgeMs(serverNow) : 0;
+
+  const elapsedAtServer = typeof payload.elapsedMs === "number" ? payload.elapsedMs : 0;
+  syncedBaseElapsedMs = elapsedAtServer + ageMs;
+
+  // only overtime rooms may carry a negative remaining time
+  const clampRem = (v) => (state.overtime ? v : Math.max(0, v));
+
+  if (state.status === "running" && hasDeadline) {
+    const base = payload.deadlineMs - serverNow - ageMs;
+    syncedBaseRemainingMs = clampRem(base);
+    syncedReceivedAt = nowMono;
+    state.deadlineMs = payload.deadlineMs;
+    state.remainingMs = undefined;
+  } else {
+    const rem = typeof payload.remainingMs === "number" ? payload.remainingMs : 0;
+    syncedBaseRemainingMs = clampRem(rem);
+    syncedReceivedAt = nowMono;
+    state.deadlineMs = null;
+    state.remainingMs = rem;
+  }
 
-    // Reset alarm/expired UI + heartbeat flags reliably when transitioning to idle
-    if (prevStatus !== "idle" && state.status === "idle") {
-      resetVisualAndAlarm();
-      lastPhase = null;
-    } else if (
-      state.status === "idle" &&
-      typeof state.durationMs === "number" &&
-      Math.abs(syncedBaseRemainingMs - state.durationMs) < 50
-    ) {
-      resetVisualAndAlarm();
-      lastPhase = null;
-    }
+  // Reset alarm/expired UI + heartbeat flags reliably when transitioning to idle
+  // (or to a different mode, which renders on a different scale)
+  if ((prevStatus !== "idle" && state.status === "idle") || prevMode !== state.mode) {
+    resetVisualAndAlarm();
+    lastPhase = null;
+    applyLayout();
+  } else if (
+    state.status === "idle" &&
+    typeof state.durationMs === "number" &&
+    Math.abs(syncedBaseRemainingMs - state.durationMs) < 50
+  ) {
+    resetVisualAndAlarm();
+    lastPhase = null;
+  }
 
-    // If connected but badge still showing for any reason, hide it
-    if (connected) {
-      const badge = ensureStatusMsg();
-      badge.textContent = "";
-      badge.style.display = "none";
-    }
+  // If connected but badge still showing for any reason, hide it
+  if (connected) {
+    const badge = ensureStatusMsg();
+    badge.textContent = "";
+    badge.style.display = "none";
+  }
 
-    renderSubline();
-  };
+  if (reconcile && state.mode === prevMode && state.status !== "idle") {
+    startCorrection(state.mode === "stopwatch" ? "elapsed" : "remaining", shownMs);
+  }
 
-  ws.onerror = (err) => {
-    connected = false;
-    // Don't spam; close will handle reconnect scheduling
-    console.warn("[display] WebSocket error:", err?.message || err);
-  };
+  renderSubline();
+  renderTargetLine();
+  syncCues();
 }
 
 // ---------- Fullscreen ----------
@@ -499,6 +867,13 @@ function bindDom() {
   els.subline = document.getElementById("subline");
   els.stage = document.getElementById("stage");
   els.expiredMsg = document.getElementById("expiredMsg");
+  els.chess = document.getElementById("chess");
+  els.preroll = document.getElementById("preroll");
+  els.targetLine = document.getElementById("targetLine");
+  els.operatorMsg = document.getElementById("operatorMsg");
+  els.progressRing = document.getElementById("progressRing");
+  els.progressBar = document.getElementById("progressBar");
+  els.linkStatus = document.getElementById("linkStatus");
   if (!els.count) console.warn("[display] Missing element: #count.");
   if (!els.stage) console.warn("[display] Missing element: #stage.");
 }
@@ -510,7 +885,6 @@ function bindDom() {
   }
 
   bindDom();
-  alarm.ensureAudio();
 
   applyPhase("green");
   if (els.count) els.count.textContent = fmt(state.durationMs);
@@ -519,14 +893,21 @@ function bindDom() {
   syncedBaseRemainingMs = state.durationMs;
   syncedReceivedAt = performance.now();
 
+  debugOverlay = mountDebugOverlay(timeSync, {
+    visible: qs.get("debug") === "1",
+    parent: els.stage || document.body,
+  });
+
   const room = (qs.get("room") || "DEMO").toUpperCase();
   connect(room);
   requestAnimationFrame(tick);
+  // snapshots and clock probes keep resyncing cues in a hidden tab; catch up on return too
+  document.addEventListener("visibilitychange", syncCues);
 
   if (els.stage) {
     els.stage.addEventListener("click", () => {
       toggleFullscreen();
-      alarm.arm();
+      audioCues.arm();
     });
   }
 
@@ -534,6 +915,7 @@ function bindDom() {
     if (isTypingContext(e)) return;
 
     if (e.key?.toLowerCase() === "f") toggleFullscreen();
-    alarm.arm();
+    if (e.key?.toLowerCase() === "d") debugOverlay?.toggle();
+    audioCues.arm();
   });
 })();
@@ -0,0 +1,135 @@
+// reconnect.js (the page's one WebSocket + automatic reconnection; shared by control + display)
+//
+// Retries use exponential backoff with full jitter: each wait is random in [0, ceiling),
+// the ceiling doubling per failed attempt up to MAX_DELAY_MS. After a server restart the
+// displays of a whole building then spread out instead of reconnecting in lockstep. A
+// connection that stays up for STABLE_MS resets the ceiling; coming back online or to a
+// visible tab skips the wait.
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30_000;
+const STABLE_MS = 10_000;
+const COUNTDOWN_TICK_MS = 1000;
+
+/** Wait before retry number `attempt` (0-based) */
+export function backoffDelay(attempt) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+/**
+ * @param {{
+ *   url: () => string,                       read at every attempt
+ *   onOpen?: () => void,
+ *   onMessage?: (ev: MessageEvent) => void,
+ *   onClose?: () => void,                    the socket went away; a retry is scheduled
+ *   onRetry?: (r: { attempt: number, inMs: number }) => void,
+ *     while waiting to reconnect: right away, then every second (inMs 0 = connecting now)
+ *   label?: string,                          log prefix
+ * }} opts
+ */
+export function createReconnectingSocket({ url, onOpen, onMessage, onClose, onRetry, label = "ws" }) {
+  let ws = null;
+  let attempt = 0; // failed attempts since the last stable connection
+  let retryTimer = null;
+  let countdownTimer = null;
+  let stableTimer = null;
+  let retryAt = null; // performance.now() of the pending retry
+
+  function clearRetry() {
+    clearTimeout(retryTimer);
+    clearInterval(countdownTimer);
+    retryTimer = countdownTimer = retryAt = null;
+  }
+
+  // Detach first: a replaced socket's late events must not touch the current one
+  function dropSocket() {
+    clearTimeout(stableTimer);
+    if (!ws) return;
+    const old = ws;
+    ws = null;
+    old.onopen = old.onclose = old.onmessage = old.onerror = null;
+    try {
+      if (old.readyState === WebSocket.OPEN || old.readyState === WebSocket.CONNECTING) old.close();
+    } catch {}
+  }
+
+  function reportRetry() {
+    if (retryAt === null) return;
+    onRetry?.({ attempt, inMs: Math.max(0, retryAt - performance.now()) });
+  }
+
+  function scheduleRetry() {
+    clearRetry();
+    const delay = backoffDelay(attempt);
+    attempt++;
+    retryAt = performance.now() + delay;
+    retryTimer = setTimeout(() => {
+      clearRetry();
+      onRetry?.({ attempt, inMs: 0 });
+      open();
+    }, delay);
+    countdownTimer = setInterval(reportRetry, COUNTDOWN_TICK_MS);
+    reportRetry();
+  }
+
+  function open() {
+    clearRetry();
+    dropSocket();
+
+    let sock;
+    try {
+      sock = new WebSocket(url());
+    } catch (e) {
+      console.error(`[${label}] Invalid WS URL:`, e);
+      return;
+    }
+    ws = sock;
+
+    sock.onopen = () => {
+      stableTimer = setTimeout(() => (attempt = 0), STABLE_MS);
+      onOpen?.();
+    };
+    sock.onmessage = (ev) => onMessage?.(ev);
+    // no retry here: "close" always follows
+    sock.onerror = (err) => console.warn(`[${label}] WebSocket error:`, err?.message || err);
+    sock.onclose = () => {
+      if (ws !== sock) return;
+      clearTimeout(stableTimer);
+      ws = null;
+      onClose?.();
+      scheduleRetry();
+    };
+  }
+
+  // Back online / tab visible again: don't sit out the rest of a long wait
+  function retryNow() {
+    if (retryTimer) open();
+  }
+  window.addEventListener("online", retryNow);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") retryNow();
+  });
+
+  return {
+    /** Connect unless a socket is already open or opening */
+    connect() {
+      if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) return;
+      open();
+    },
+    /** Replace the socket now (e.g. the URL changed) */
+    reconnect: open,
+    get isOpen() {
+      return ws?.readyState === WebSocket.OPEN;
+    },
+    /** JSON-encode and send; false when not connected */
+    send(msg) {
+      if (ws?.readyState !== WebSocket.OPEN) return false;
+      try {
+        ws.send(JSON.stringify(msg));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+}
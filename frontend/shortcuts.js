@@ -0,0 +1,85 @@
+// shortcuts.js (single-key shortcut layer with user bindings in localStorage; used by control)
+//
+// Keys are stored normalized: "Space", "ArrowUp", or one upper-case character ("R").
+// Saved bindings only hold what the user changed: { [actionId]: key }. A key belongs to
+// one action at a time, so rebinding it takes it away from whichever action had it.
+
+const KEY_LABELS = { Space: "Space", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+
+/** KeyboardEvent -> normalized key, or null for keys that can't be bound */
+export function normalizeKey(e) {
+  if (e.key === " " || e.key === "Spacebar") return "Space";
+  if (e.key.length === 1) return e.key.toUpperCase();
+  if (/^(Arrow\w+|F\d{1,2}|Home|End|PageUp|PageDown|Insert|Delete|Backspace|Enter)$/.test(e.key)) return e.key;
+  return null;
+}
+
+export function keyLabel(key) {
+  return KEY_LABELS[key] ?? key ?? "—";
+}
+
+/**
+ * @param {{
+ *   actions: { id: string, label: string, key: string, run: () => void }[],
+ *   storageKey: string,
+ * }} opts  `key` is the default binding
+ */
+export function createShortcuts({ actions, storageKey }) {
+  let custom = load();
+
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey) || "{}");
+      return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function save() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(custom));
+    } catch {}
+  }
+
+  function keyFor(id) {
+    if (id in custom) return custom[id]; // null = unbound on purpose
+    return actions.find((a) => a.id === id)?.key ?? null;
+  }
+
+  function actionFor(key) {
+    return actions.find((a) => keyFor(a.id) === key) ?? null;
+  }
+
+  function setKey(id, key) {
+    const holder = actionFor(key);
+    if (holder && holder.id !== id) custom[holder.id] = null;
+    custom[id] = key;
+    // drop entries that are back to their default
+    for (const a of actions) if (custom[a.id] === a.key) delete custom[a.id];
+    save();
+  }
+
+  function resetAll() {
+    custom = {};
+    save();
+  }
+
+  /** Run the action bound to this key event; true when one ran */
+  function handleKeydown(e) {
+    const key = normalizeKey(e);
+    const action = key && actionFor(key);
+    if (!action) return false;
+    e.preventDefault();
+    action.run();
+    return true;
+  }
+
+  return {
+    actions: actions.map(({ id, label }) => ({ id, label })),
+    keyFor,
+    setKey,
+    resetAll,
+    handleKeydown,
+  };
+}
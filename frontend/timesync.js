@@ -0,0 +1,143 @@
+// timesync.js (NTP-style clock offset + RTT estimate over the room WebSocket; shared by control + display)
+//
+// Probe:  client -> { type:"timeSync", payload:{ id, t0, rttMs } }   (rttMs = current estimate, for the presence list)
+// Reply:  server -> { type:"timeSync", payload:{ id, t0, t1, t2 } }   (t1 = server receive, t2 = server send)
+// On receipt at t3 (all client times on a monotonic epoch clock):
+//   rtt    = (t3 - t0) - (t2 - t1)
+//   offset = ((t1 - t0) + (t2 - t3)) / 2      => serverClock ≈ localClock + offset
+
+const SAMPLE_WINDOW = 8; // most recent samples considered by the filter
+const BURST_COUNT = 5; // probes sent right after (re)connecting
+const BURST_GAP_MS = 150;
+const INTERVAL_MS = 15_000; // steady-state probe interval
+const OUTLIER_FACTOR = 1.5; // reject samples with rtt > median * factor (+ slack)
+const OUTLIER_SLACK_MS = 5;
+const SMOOTHING = 0.3; // EMA weight of a new filtered offset
+const SNAP_MS = 1000; // bigger jumps (e.g. OS clock change) are taken as-is
+
+// Monotonic but epoch-based, so it's comparable to server Date.now() values
+export function localNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * @param {{ send: (msg: object) => void }} opts  send a JSON-able message on the CURRENT socket
+ */
+export function createTimeSync({ send }) {
+  let samples = []; // { rtt, offset }
+  let offsetMs = null;
+  let rttMs = null;
+  let nextId = 1;
+  const pending = new Set();
+  let timers = [];
+
+  function probe() {
+    const id = nextId++;
+    pending.add(id);
+    // forget probes that never got answered
+    if (pending.size > SAMPLE_WINDOW) pending.delete(pending.values().next().value);
+    send({ type: "timeSync", payload: { id, t0: localNow(), rttMs } });
+  }
+
+  function stop() {
+    timers.forEach((t) => clearTimeout(t));
+    timers = [];
+    pending.clear();
+  }
+
+  // Call on every socket open: a quick burst to converge, then a slow steady probe
+  function start() {
+    stop();
+    for (let i = 0; i < BURST_COUNT; i++) timers.push(setTimeout(probe, i * BURST_GAP_MS));
+    const steady = () => {
+      probe();
+      timers.push(setTimeout(steady, INTERVAL_MS));
+    };
+    timers.push(setTimeout(steady, INTERVAL_MS));
+  }
+
+  /**
+   * Clock filter: drop RTT outliers (Wi-Fi retransmits, GC pauses), then trust the
+   * lowest-RTT survivor (least queueing => least asymmetric delay), smoothed over time.
+   */
+  function refilter() {
+    const cutoff = median(samples.map((s) => s.rtt)) * OUTLIER_FACTOR + OUTLIER_SLACK_MS;
+    const accepted = samples.filter((s) => s.rtt <= cutoff);
+    if (!accepted.length) return;
+
+    const best = accepted.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    if (offsetMs === null || Math.abs(best.offset - offsetMs) > SNAP_MS) offsetMs = best.offset;
+    else offsetMs += SMOOTHING * (best.offset - offsetMs);
+
+    rttMs = median(accepted.map((s) => s.rtt));
+  }
+
+  function handleReply(payload) {
+    const t3 = localNow();
+    const { id, t0, t1, t2 } = payload || {};
+    if (!pending.delete(id)) return;
+    if (![t0, t1, t2].every((v) => typeof v === "number")) return;
+
+    const rtt = t3 - t0 - (t2 - t1);
+    if (!(rtt >= 0)) return;
+
+    samples.push({ rtt, offset: (t1 - t0 + (t2 - t3)) / 2 });
+    if (samples.length > SAMPLE_WINDOW) samples.shift();
+    refilter();
+  }
+
+  return {
+    start,
+    stop,
+    handleReply,
+    /** Best estimate of the server's Date.now() right now */
+    serverNow: () => localNow() + (offsetMs ?? 0),
+    get ready() {
+      return offsetMs !== null;
+    },
+    get offsetMs() {
+      return offsetMs;
+    },
+    get rttMs() {
+      return rttMs;
+    },
+    get sampleCount() {
+      return samples.length;
+    },
+  };
+}
+
+/**
+ * Small fixed overlay with the current estimate (enabled with ?debug=1).
+ * Mount it inside the fullscreen element if there is one, or it won't show there.
+ * Returns { toggle() }.
+ */
+export function mountDebugOverlay(timeSync, { visible = false, parent = document.body } = {}) {
+  const el = document.createElement("div");
+  el.className = "debug-overlay";
+  el.setAttribute("aria-hidden", "true");
+  el.hidden = !visible;
+  parent.appendChild(el);
+
+  const fmtMs = (v, signed = false) =>
+    v === null ? "–" : `${signed && v >= 0 ? "+" : ""}${Math.round(v)} ms`;
+
+  setInterval(() => {
+    if (el.hidden) return;
+    el.textContent =
+      `RTT ${fmtMs(timeSync.rttMs)} · offset ${fmtMs(timeSync.offsetMs, true)}` +
+      ` · ${timeSync.sampleCount} samples`;
+  }, 500);
+
+  return {
+    toggle() {
+      el.hidden = !el.hidden;
+    },
+  };
+}